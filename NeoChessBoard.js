@@ -15,7 +15,7 @@
    board.on('move', e => console.log(e));
 
  If window.Chess (chess.js) is present, rules & legality are automatic.
- Otherwise, a LightRules fallback allows basic movement + castle/promo (no check validation).
+ Otherwise, the built-in LightRules provide full legality (check, pins, castling, mate, stalemate).
 */
 
 export class EventBus {
@@ -53,9 +53,66 @@ const FILES = ["a", "b", "c", "d", "e", "f", "g", "h"];
 const RANKS = ["1", "2", "3", "4", "5", "6", "7", "8"];
 const isWhitePiece = (p) => p && p === p.toUpperCase();
 
+const KNIGHT_STEPS = [
+  [1, 2],
+  [2, 1],
+  [-1, 2],
+  [-2, 1],
+  [1, -2],
+  [2, -1],
+  [-1, -2],
+  [-2, -1],
+];
+const ROOK_DIRS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+const BISHOP_DIRS = [
+  [1, 1],
+  [-1, 1],
+  [1, -1],
+  [-1, -1],
+];
+
+const PIECE_NAMES = { k: "king", q: "queen", r: "rook", b: "bishop", n: "knight", p: "pawn" };
+const pieceLabel = (p) => `${isWhitePiece(p) ? "white" : "black"} ${PIECE_NAMES[p.toLowerCase()]}`;
+
+// Keeps elements readable by assistive tech but off screen
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  clipPath: "inset(50%)",
+  whiteSpace: "nowrap",
+};
+
 // Piece letters FEN => type
 // White: K Q R B N P; Black: k q r b n p
 const PIECES = ["k", "q", "r", "b", "n", "p", "K", "Q", "R", "B", "N", "P"];
+const PROMOTION_PIECES = ["q", "r", "b", "n"];
+const SPARE_PIECES = ["k", "q", "r", "b", "n", "p"]; // editor palette order
+// Annotation colour letters (PGN [%cal]/[%csl]) -> theme keys
+const SHAPE_BRUSHES = { G: "shapeGreen", R: "shapeRed", Y: "shapeYellow", B: "shapeBlue" };
+// Right-button modifiers pick the colour as on Lichess: none green, Shift red, Alt or Meta blue, Shift+Alt
+// yellow. Ctrl keeps green (Lichess makes it red): on macOS, Ctrl-click is the right click itself.
+const brushFor = (e) => {
+  const red = e.shiftKey;
+  const blue = e.altKey || e.metaKey;
+  return red && blue ? "Y" : red ? "R" : blue ? "B" : "G";
+};
+// Move-quality glyphs and their badge colours, from brilliant to blunder
+const BADGE_COLORS = {
+  "!!": "#26C2A3",
+  "!": "#5C8BB0",
+  "!?": "#A855F7",
+  "?!": "#F7C631",
+  "?": "#FFA459",
+  "??": "#FA412D",
+};
 
 // ---------- FEN parsing / board state ----------
 function parseFEN(fen) {
@@ -111,23 +168,166 @@ function boardToFEN(state) {
 
 const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
 
+// Chess960 start position from its Scharnagl index 0-959 (518 is the standard setup), random by default.
+export function chess960FEN(index = Math.floor(Math.random() * 960)) {
+  let n = clamp(index | 0, 0, 959);
+  const row = Array(8).fill(null);
+  const empty = () => row.map((p, f) => (p ? -1 : f)).filter((f) => f >= 0);
+  row[2 * (n % 4) + 1] = "b"; // light-squared bishop: b, d, f, h
+  n = Math.floor(n / 4);
+  row[2 * (n % 4)] = "b"; // dark-squared bishop: a, c, e, g
+  n = Math.floor(n / 4);
+  row[empty()[n % 6]] = "q";
+  n = Math.floor(n / 6);
+  const knights = [
+    [0, 1],
+    [0, 2],
+    [0, 3],
+    [0, 4],
+    [1, 2],
+    [1, 3],
+    [1, 4],
+    [2, 3],
+    [2, 4],
+    [3, 4],
+  ][n];
+  const free = empty();
+  for (const i of knights) row[free[i]] = "n";
+  const [r1, k, r2] = empty();
+  Object.assign(row, { [r1]: "r", [k]: "k", [r2]: "r" });
+  const black = row.join("");
+  return `${black}/pppppppp/8/8/8/8/PPPPPPPP/${black.toUpperCase()} w KQkq - 0 1`;
+}
+
+// ---------- FEN validation ----------
+const fenError = (field, code, message) => ({ field, code, message });
+
+// Can a castling right (K/Q/k/q, or a rook file in 960) exist with this placement?
+// King and rook at home: e-file king and corner rooks in standard chess.
+function castlingAllowed(board, right, chess960) {
+  const white = right === right.toUpperCase();
+  const row = board[white ? 0 : 7];
+  const kf = row.indexOf(white ? "K" : "k");
+  const rook = white ? "R" : "r";
+  const c = right.toLowerCase();
+  if (kf < 0) return false;
+  if (!chess960) return kf === 4 && (c === "k" || c === "q") && row[c === "k" ? 7 : 0] === rook;
+  if (c === "k") return row.slice(kf + 1).includes(rook);
+  if (c === "q") return row.slice(0, kf).includes(rook);
+  return FILES.indexOf(c) !== kf && row[FILES.indexOf(c)] === rook;
+}
+
+// En passant squares behind a pawn of the side not to move that may just have made a double step
+function enPassantSquares(board, turn) {
+  const white = turn === "w";
+  const [pawnR, epR, fromR] = white ? [4, 5, 6] : [3, 2, 1];
+  return FILES.filter((_, f) => board[pawnR][f] === (white ? "p" : "P") && !board[epR][f] && !board[fromR][f]).map(
+    (file) => file + RANKS[epR]
+  );
+}
+
+// Fields that cannot be read. Strict mode also wants all six fields and castling letters in order.
+function fenSyntaxErrors(fen, { strict, chess960 }) {
+  if (typeof fen !== "string" || !fen.trim()) return [fenError("fen", "empty", "FEN is empty")];
+  const parts = fen.trim().split(/\s+/);
+  const errors = [];
+  if (parts.length > 6 || (strict && parts.length < 6))
+    errors.push(fenError("fen", "fieldCount", `FEN has ${parts.length} fields, expected 6`));
+  const [placement, turn, castling, ep, halfmove, fullmove] = parts;
+  const rows = placement.split("/");
+  if (rows.length !== 8) errors.push(fenError("board", "rankCount", `Board has ${rows.length} ranks, expected 8`));
+  rows.slice(0, 8).forEach((row, i) => {
+    let squares = 0;
+    for (const ch of row) {
+      if (/[1-8]/.test(ch)) squares += parseInt(ch, 10);
+      else if (PIECES.includes(ch)) squares++;
+      else errors.push(fenError("board", "badPiece", `Unknown piece "${ch}" on rank ${8 - i}`));
+    }
+    if (squares !== 8) errors.push(fenError("board", "rankLength", `Rank ${8 - i} has ${squares} squares, expected 8`));
+  });
+  if (turn !== undefined && turn !== "w" && turn !== "b")
+    errors.push(fenError("turn", "badTurn", `Side to move must be "w" or "b", got "${turn}"`));
+  if (castling !== undefined) {
+    const letters = chess960 ? /^[KQA-H]*[kqa-h]*$/ : strict ? /^K?Q?k?q?$/ : /^[KQkq]+$/;
+    if (castling !== "-" && (!letters.test(castling) || new Set(castling).size !== castling.length))
+      errors.push(fenError("castling", "badCastling", `Invalid castling field "${castling}"`));
+  }
+  if (ep !== undefined && ep !== "-" && !/^[a-h][36]$/.test(ep))
+    errors.push(fenError("ep", "badEnPassant", `Invalid en passant square "${ep}"`));
+  if (halfmove !== undefined && !/^\d+$/.test(halfmove))
+    errors.push(fenError("halfmove", "badHalfmove", `Halfmove clock must be a number, got "${halfmove}"`));
+  if (fullmove !== undefined && !/^[1-9]\d*$/.test(fullmove))
+    errors.push(fenError("fullmove", "badFullmove", `Move number must be a positive number, got "${fullmove}"`));
+  return errors;
+}
+
+// Positions that cannot arise in a game (the FEN itself is readable)
+function fenPositionErrors(state, chess960) {
+  const errors = [];
+  const count = (piece) => state.board.flat().filter((p) => p === piece).length;
+  for (const [king, side] of [
+    ["K", "White"],
+    ["k", "Black"],
+  ])
+    if (count(king) !== 1) errors.push(fenError("board", "kingCount", `${side} has ${count(king)} kings, expected 1`));
+  if ([...state.board[0], ...state.board[7]].some((p) => p === "P" || p === "p"))
+    errors.push(fenError("board", "pawnOnBackRank", "Pawns cannot stand on the first or last rank"));
+  for (const [pawn, side] of [
+    ["P", "White"],
+    ["p", "Black"],
+  ])
+    if (count(pawn) > 8) errors.push(fenError("board", "tooManyPawns", `${side} has ${count(pawn)} pawns`));
+  for (const c of state.castling.replace(/-/g, ""))
+    if (!castlingAllowed(state.board, c, chess960))
+      errors.push(fenError("castling", "castlingRights", `Castling right "${c}" without king and rook at home`));
+  if (state.ep !== "-" && !enPassantSquares(state.board, state.turn).includes(state.ep))
+    errors.push(fenError("ep", "enPassantPawn", `No pawn can just have passed over ${state.ep}`));
+  return errors;
+}
+
 // ---------- LightRules (fallback) ----------
-// Minimal rules: piece moves (no check validation), basic castling, pawn double, captures, en passant (simple), promotion
-// For production legality, inject chess.js via options.rulesAdapter or include window.Chess.
-class LightRules {
-  constructor(fen = START_FEN) {
-    this.state = parseFEN(fen);
+// Complete legal move generation: checks, pins, castling rules (no castling out of / through check),
+// en passant, promotion, checkmate and stalemate. chess.js is used instead when present.
+export class LightRules {
+  // chess960: castling with any king/rook files; castlingNotation: 'xfen' | 'shredder' for getFEN()
+  constructor(fen = START_FEN, { chess960 = false, castlingNotation = "xfen" } = {}) {
+    this.chess960 = chess960;
+    this.castlingNotation = castlingNotation;
+    this.setFEN(fen);
+  }
+  // Problems with a FEN as [{ field, code, message }], empty when valid. Lenient mode only reports what
+  // cannot be read; strict mode also checks the position. Variants override it for their FEN extensions.
+  static validateFEN(fen, { strict = true, chess960 = false } = {}) {
+    const errors = fenSyntaxErrors(fen, { strict, chess960 });
+    if (errors.length || !strict) return errors;
+    const state = parseFEN(fen);
+    errors.push(...fenPositionErrors(state, chess960));
+    if (errors.some((e) => e.code === "kingCount")) return errors;
+    // The side that just moved cannot have left its king in check
+    if (new this(fen, { chess960 })._inCheck(state.turn === "w" ? "b" : "w"))
+      errors.push(fenError("turn", "oppositeCheck", "The side not to move is in check"));
+    return errors;
   }
   clone() {
-    const c = new LightRules();
+    // Keeps options (and subclass fields) along with a deep copy of the position
+    const c = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
     c.state = JSON.parse(JSON.stringify(this.state));
     return c;
   }
   getFEN() {
-    return boardToFEN(this.state);
+    return this.toFEN({ ...this.state, castling: this._castlingField() });
   }
   setFEN(f) {
-    this.state = parseFEN(f);
+    this.state = this.parseFEN(f);
+    // 960 rights are kept as rook files (Shredder style) whatever the input notation
+    if (this.chess960) this.state.castling = this._rightsToFiles(this.state.castling);
+  }
+  // FEN <-> state; variants override these to carry extra fields (pockets, check counters)
+  parseFEN(fen) {
+    return parseFEN(fen);
+  }
+  toFEN(state) {
+    return boardToFEN(state);
   }
   pieceAt(square) {
     const { f, r } = sqToFR(square);
@@ -136,8 +336,27 @@ class LightRules {
   turn() {
     return this.state.turn;
   }
-  // Generate pseudo-legal moves for UI dots (not exhaustive but decent)
+  // Legal moves from a square: pseudo-legal moves that do not leave the own king in check
   movesFrom(square) {
+    const me = this.state.turn;
+    return this._pseudoMoves(square).filter((m) => !this._play(m)._inCheck(me));
+  }
+  legalMoves() {
+    const all = [];
+    for (let r = 0; r < 8; r++) for (let f = 0; f < 8; f++) all.push(...this.movesFrom(sq(f, r)));
+    return all;
+  }
+  inCheck() {
+    return this._inCheck(this.state.turn);
+  }
+  isCheckmate() {
+    return this.inCheck() && !this._hasLegalMove();
+  }
+  isStalemate() {
+    return !this.inCheck() && !this._hasLegalMove();
+  }
+  // Piece moves ignoring whether the own king is left in check (castling is fully checked here)
+  _pseudoMoves(square) {
     const p = this.pieceAt(square);
     if (!p) return [];
     const isW = isWhitePiece(p);
@@ -176,16 +395,7 @@ class LightRules {
         break;
       }
       case "n":
-        for (const [df, dr] of [
-          [1, 2],
-          [2, 1],
-          [-1, 2],
-          [-2, 1],
-          [1, -2],
-          [2, -1],
-          [-1, -2],
-          [-2, -1],
-        ]) {
+        for (const [df, dr] of KNIGHT_STEPS) {
           const F = f + df,
             R = r + dr;
           if (F < 0 || F > 7 || R < 0 || R > 7) continue;
@@ -225,12 +435,23 @@ class LightRules {
               const t = occ(F, R);
               if (!t || enemy(t)) pushes.push({ f: F, r: R });
             }
-        // castling naive (no check validation)
-        if ((isW && this.state.castling.includes("K")) || (!isW && this.state.castling.includes("k"))) {
-          if (!occ(5, r) && !occ(6, r)) pushes.push({ f: 6, r, castle: "K" });
-        }
-        if ((isW && this.state.castling.includes("Q")) || (!isW && this.state.castling.includes("q"))) {
-          if (!occ(1, r) && !occ(2, r) && !occ(3, r)) pushes.push({ f: 2, r, castle: "Q" });
+        // castling: king ends on g/c and the rook on f/d (960 rule, standard chess is the e/a/h case).
+        // Nothing but the two castling pieces between them and their targets, king never on an attacked square.
+        // In 960 the move is entered as king-takes-rook.
+        const home = isW ? 0 : 7;
+        if (r === home && (this.chess960 || f === 4)) {
+          const rook = isW ? "R" : "r";
+          for (const rf of this._castlingRooks(isW)) {
+            if (occ(rf, r) !== rook) continue;
+            const kingTo = rf > f ? 6 : 2;
+            const rookTo = rf > f ? 5 : 3;
+            let clear = true;
+            for (let F = Math.min(f, rf, kingTo, rookTo); F <= Math.max(f, rf, kingTo, rookTo); F++)
+              if (F !== f && F !== rf && occ(F, r)) clear = false;
+            for (let F = Math.min(f, kingTo); clear && F <= Math.max(f, kingTo); F++)
+              if (this._attacked(F, home, !isW)) clear = false;
+            if (clear) pushes.push({ f: this.chess960 ? rf : kingTo, r, castle: rf > f ? "K" : "Q", rook: rf, kingTo });
+          }
         }
         break;
       }
@@ -253,45 +474,75 @@ class LightRules {
     return pushes.map(({ f: rF, r: rR, ...rest }) => ({ from: sq(f, r), to: sq(rF, rR), ...rest }));
   }
   move({ from, to, promotion }) {
-    const s = this.clone();
-    const a = sqToFR(from),
-      b = sqToFR(to);
-    const p = s.state.board[a.r][a.f];
+    const a = sqToFR(from);
+    const p = this.state.board[a.r][a.f];
     if (!p) return { ok: false, reason: "empty" };
     const isW = isWhitePiece(p);
-    if ((isW && s.state.turn !== "w") || (!isW && s.state.turn !== "b")) return { ok: false, reason: "turn" };
-    const moves = this.movesFrom(from);
-    const mv = moves.find((m) => m.to === to);
+    if ((isW && this.state.turn !== "w") || (!isW && this.state.turn !== "b")) return { ok: false, reason: "turn" };
+    const mv = this._findMove(from, to);
     if (!mv) return { ok: false, reason: "illegal" };
-    // Handle en passant capture
-    if (mv.ep) {
-      const dir = isW ? 1 : -1;
-      s.state.board[b.r - dir][b.f] = null;
-    }
-    // Move piece
-    s.state.board[b.r][b.f] = p;
-    s.state.board[a.r][a.f] = null;
-    // Pawn promotion
-    if (p.toLowerCase() === "p" && (b.r === 7 || b.r === 0)) {
-      const promo = promotion || "q";
-      s.state.board[b.r][b.f] = isW ? promo.toUpperCase() : promo.toLowerCase();
-    }
-    // Castling rook move
-    if (p.toLowerCase() === "k" && Math.abs(b.f - a.f) === 2) {
-      // castle
-      if (b.f === 6) {
-        // king side
-        s.state.board[a.r][5] = s.state.board[a.r][7];
-        s.state.board[a.r][7] = null;
-      } else if (b.f === 2) {
-        // queen side
-        s.state.board[a.r][3] = s.state.board[a.r][0];
-        s.state.board[a.r][0] = null;
+    const s = this._play(mv, promotion);
+    const before = boardToArr(this.state.board);
+    const after = boardToArr(s.state.board);
+    return {
+      ok: true,
+      state: s.state,
+      fen: s.getFEN(),
+      move: {
+        from,
+        to,
+        piece: p,
+        captured: mv.castle ? null : mv.ep ? (isW ? "p" : "P") : this.state.board[sqToFR(to).r][sqToFR(to).f],
+        promotion:
+          p.toLowerCase() === "p" && (to[1] === "8" || to[1] === "1") ? (promotion || "q").toLowerCase() : undefined,
+        san: this._san(mv, promotion, s),
+        before,
+        after,
+      },
+    };
+  }
+  // A 960 castle may also be entered by dropping the king on its target square
+  _findMove(from, to) {
+    const moves = this.movesFrom(from);
+    return moves.find((m) => m.to === to) || moves.find((m) => m.castle && sq(m.kingTo, sqToFR(from).r) === to) || null;
+  }
+  // Apply an already validated move and return the resulting position
+  _play(mv, promotion) {
+    const s = this.clone();
+    const a = sqToFR(mv.from),
+      b = sqToFR(mv.to);
+    const p = s.state.board[a.r][a.f];
+    const isW = isWhitePiece(p);
+    const captured = mv.castle ? null : mv.ep ? (isW ? "p" : "P") : s.state.board[b.r][b.f];
+    if (mv.castle) {
+      // King and rook may swap or land on each other's square in 960: lift both, then place
+      s.state.board[a.r][a.f] = null;
+      s.state.board[a.r][mv.rook] = null;
+      s.state.board[a.r][mv.kingTo] = p;
+      s.state.board[a.r][mv.castle === "K" ? 5 : 3] = isW ? "R" : "r";
+    } else {
+      // Handle en passant capture
+      if (mv.ep) {
+        const dir = isW ? 1 : -1;
+        s.state.board[b.r - dir][b.f] = null;
+      }
+      // Move piece
+      s.state.board[b.r][b.f] = p;
+      s.state.board[a.r][a.f] = null;
+      // Pawn promotion
+      if (p.toLowerCase() === "p" && (b.r === 7 || b.r === 0)) {
+        const promo = promotion || "q";
+        s.state.board[b.r][b.f] = isW ? promo.toUpperCase() : promo.toLowerCase();
       }
-      // remove castling rights for that color
-      if (isW) s.state.castling = (s.state.castling || "").replace("K", "").replace("Q", "");
-      else s.state.castling = (s.state.castling || "").replace("k", "").replace("q", "");
     }
+    // Castling rights: lost when the king moves or a rook leaves / is captured on its home square
+    const lost = (c) => {
+      const white = c === c.toUpperCase();
+      if (p === (white ? "K" : "k")) return true;
+      const rookSq = sq(this._rightFile(c), white ? 0 : 7);
+      return mv.from === rookSq || mv.to === rookSq;
+    };
+    s.state.castling = [...this._rights()].filter((c) => !lost(c)).join("") || "-";
     // Update EP square
     s.state.ep = "-";
     if (p.toLowerCase() === "p" && Math.abs(b.r - a.r) === 2) {
@@ -300,17 +551,735 @@ class LightRules {
     }
     // Turn & counters
     s.state.turn = s.state.turn === "w" ? "b" : "w";
-    s.state.halfmove = p.toLowerCase() === "p" || mv.captured ? 0 : (s.state.halfmove || 0) + 1;
+    s.state.halfmove = p.toLowerCase() === "p" || captured ? 0 : (s.state.halfmove || 0) + 1;
     if (s.state.turn === "w") s.state.fullmove = (s.state.fullmove || 1) + 1;
-    const before = boardToArr(this.state.board);
-    const after = boardToArr(s.state.board);
+    return s;
+  }
+
+  // ---------- Castling rights ----------
+  _rights() {
+    return (this.state.castling || "").replace(/-/g, "");
+  }
+  // Rook file a right refers to: fixed h/a files in standard chess, the named file in 960
+  _rightFile(c) {
+    if (!this.chess960) return c.toLowerCase() === "k" ? 7 : 0;
+    return FILES.indexOf(c.toLowerCase());
+  }
+  _castlingRooks(isW) {
+    return [...this._rights()].filter((c) => (c === c.toUpperCase()) === isW).map((c) => this._rightFile(c));
+  }
+  // K/Q (outermost rook, X-FEN) or rook files (Shredder-FEN) -> rook files, e.g. "HAha"
+  _rightsToFiles(field) {
+    const out = { w: new Set(), b: new Set() };
+    for (const c of (field || "").replace(/-/g, "")) {
+      const isW = c === c.toUpperCase();
+      const r = isW ? 0 : 7;
+      const row = this.state.board[r];
+      const kf = row.indexOf(isW ? "K" : "k");
+      const rook = isW ? "R" : "r";
+      let rf = -1;
+      if (c.toLowerCase() === "k") for (let f = 7; f > kf && rf < 0; f--) rf = row[f] === rook ? f : -1;
+      else if (c.toLowerCase() === "q") for (let f = 0; f < kf && rf < 0; f++) rf = row[f] === rook ? f : -1;
+      else rf = FILES.indexOf(c.toLowerCase());
+      if (kf >= 0 && rf >= 0) out[isW ? "w" : "b"].add(rf);
+    }
+    const files = (set, isW) =>
+      [...set]
+        .sort((x, y) => y - x)
+        .map((f) => (isW ? FILES[f].toUpperCase() : FILES[f]))
+        .join("");
+    return files(out.w, true) + files(out.b, false) || "-";
+  }
+  // Castling field for getFEN(): as stored, or X-FEN (K/Q unless an inner rook needs its file)
+  _castlingField() {
+    if (!this.chess960 || this.castlingNotation === "shredder") return this.state.castling || "-";
+    let field = "";
+    for (const c of this._rights()) {
+      const isW = c === c.toUpperCase();
+      const row = this.state.board[isW ? 0 : 7];
+      const kf = row.indexOf(isW ? "K" : "k");
+      const rf = this._rightFile(c);
+      const step = rf > kf ? 1 : -1;
+      let outermost = true;
+      for (let f = rf + step; f >= 0 && f < 8; f += step) if (row[f] === (isW ? "R" : "r")) outermost = false;
+      const letter = outermost ? (rf > kf ? "k" : "q") : c.toLowerCase();
+      field += isW ? letter.toUpperCase() : letter;
+    }
+    return field || "-";
+  }
+
+  // Is square (f, r) attacked by the given side? (kings = false ignores king contact, for atomic)
+  _attacked(f, r, byWhite, kings = true) {
+    const B = this.state.board;
+    const at = (F, R) => (F >= 0 && F < 8 && R >= 0 && R < 8 ? B[R][F] : undefined);
+    const own = (pp, type) => pp && isWhitePiece(pp) === byWhite && pp.toLowerCase() === type;
+    const dir = byWhite ? 1 : -1;
+    if (own(at(f - 1, r - dir), "p") || own(at(f + 1, r - dir), "p")) return true;
+    for (const [df, dr] of KNIGHT_STEPS) if (own(at(f + df, r + dr), "n")) return true;
+    for (let df = -1; df <= 1; df++)
+      for (let dr = -1; dr <= 1; dr++) if (kings && (df || dr) && own(at(f + df, r + dr), "k")) return true;
+    for (const [df, dr] of [...ROOK_DIRS, ...BISHOP_DIRS]) {
+      const slider = df && dr ? "b" : "r";
+      let F = f + df,
+        R = r + dr;
+      while (at(F, R) === null) {
+        F += df;
+        R += dr;
+      }
+      const t = at(F, R);
+      if (own(t, slider) || own(t, "q")) return true;
+    }
+    return false;
+  }
+  _inCheck(color) {
+    const king = color === "w" ? "K" : "k";
+    for (let r = 0; r < 8; r++)
+      for (let f = 0; f < 8; f++) if (this.state.board[r][f] === king) return this._attacked(f, r, color !== "w");
+    return false;
+  }
+  _hasLegalMove() {
+    for (let r = 0; r < 8; r++) for (let f = 0; f < 8; f++) if (this.movesFrom(sq(f, r)).length) return true;
+    return false;
+  }
+  // ---------- SAN ----------
+  _san(mv, promotion, next) {
+    const a = sqToFR(mv.from),
+      b = sqToFR(mv.to);
+    const p = this.state.board[a.r][a.f];
+    const type = p.toLowerCase();
+    let san;
+    if (mv.castle) san = mv.castle === "K" ? "O-O" : "O-O-O";
+    else {
+      const capture = !!this.state.board[b.r][b.f] || !!mv.ep;
+      if (type === "p") {
+        san = (capture ? FILES[a.f] + "x" : "") + mv.to;
+        if (b.r === 7 || b.r === 0) san += "=" + (promotion || "q").toUpperCase();
+      } else {
+        // Disambiguate against other pieces of the same kind reaching the same square
+        const rivals = [];
+        for (let r = 0; r < 8; r++)
+          for (let f = 0; f < 8; f++)
+            if (
+              (f !== a.f || r !== a.r) &&
+              this.state.board[r][f] === p &&
+              this.movesFrom(sq(f, r)).some((m) => m.to === mv.to)
+            )
+              rivals.push({ f, r });
+        let dis = "";
+        if (rivals.length) {
+          if (!rivals.some((o) => o.f === a.f)) dis = FILES[a.f];
+          else if (!rivals.some((o) => o.r === a.r)) dis = RANKS[a.r];
+          else dis = mv.from;
+        }
+        san = type.toUpperCase() + dis + (capture ? "x" : "") + mv.to;
+      }
+    }
+    if (next.inCheck()) san += next._hasLegalMove() ? "+" : "#";
+    return san;
+  }
+  toSAN({ from, to, promotion }) {
+    const mv = this._findMove(from, to);
+    if (!mv) return null;
+    return this._san(mv, promotion, this._play(mv, promotion));
+  }
+  fromSAN(san) {
+    const clean = san.replace(/[+#!?]+$/, "").replace(/0/g, "O");
+    const me = this.state.turn;
+    const rank = me === "w" ? 0 : 7;
+    let king = null;
+    for (let f = 0; f < 8; f++) if (this.state.board[rank][f] === (me === "w" ? "K" : "k")) king = sq(f, rank);
+    if (clean === "O-O" || clean === "O-O-O") {
+      if (!king) return null;
+      const mv = this.movesFrom(king).find((m) => m.castle === (clean === "O-O" ? "K" : "Q"));
+      return mv ? { from: king, to: mv.to } : null;
+    }
+    const m = /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQnbrq]))?$/.exec(clean);
+    if (!m) return null;
+    const [, letter, file, rnk, to, promo] = m;
+    const piece = me === "w" ? letter || "P" : (letter || "P").toLowerCase();
+    const found = [];
+    for (let r = 0; r < 8; r++)
+      for (let f = 0; f < 8; f++) {
+        if (this.state.board[r][f] !== piece) continue;
+        if ((file && FILES[f] !== file) || (rnk && RANKS[r] !== rnk)) continue;
+        if (this.movesFrom(sq(f, r)).some((x) => x.to === to)) found.push(sq(f, r));
+      }
+    if (found.length !== 1) return null;
+    return promo ? { from: found[0], to, promotion: promo.toLowerCase() } : { from: found[0], to };
+  }
+}
+
+// ---------- chess.js adapter ----------
+// Wraps a chess.js instance (0.10 or 1.x API) behind the same interface as LightRules.
+class ChessJsRules {
+  constructor(Chess) {
+    this.Chess = Chess;
+    this.game = new Chess();
+  }
+  // chess.js 1.x throws on illegal moves where 0.10 returns null
+  _try(game, m) {
+    try {
+      return game.move(m);
+    } catch (e) {
+      return null;
+    }
+  }
+  // false when chess.js refuses the FEN (0.10 returns false, 1.x throws)
+  setFEN(f) {
+    try {
+      return this.game.load(f) !== false;
+    } catch (e) {
+      return false;
+    }
+  }
+  getFEN() {
+    return this.game.fen();
+  }
+  turn() {
+    return this.game.turn();
+  }
+  movesFrom(square) {
+    return this.game
+      .moves({ square, verbose: true })
+      .map((m) => ({ from: m.from, to: m.to, promotion: m.promotion, captured: m.captured }));
+  }
+  legalMoves() {
+    return this.game
+      .moves({ verbose: true })
+      .map((m) => ({ from: m.from, to: m.to, promotion: m.promotion, captured: m.captured }));
+  }
+  // 0.10 uses snake_case names, 1.x camelCase
+  inCheck() {
+    return this.game.in_check ? this.game.in_check() : this.game.inCheck();
+  }
+  isCheckmate() {
+    return this.game.in_checkmate ? this.game.in_checkmate() : this.game.isCheckmate();
+  }
+  isStalemate() {
+    return this.game.in_stalemate ? this.game.in_stalemate() : this.game.isStalemate();
+  }
+  move({ from, to, promotion }) {
+    const res = this._try(this.game, { from, to, promotion: promotion || "q" });
+    if (!res) return { ok: false, reason: "illegal" };
+    return { ok: true, fen: this.game.fen(), move: res, state: null };
+  }
+  toSAN({ from, to, promotion }) {
+    const res = this._try(new this.Chess(this.game.fen()), { from, to, promotion: promotion || "q" });
+    return res ? res.san : null;
+  }
+  fromSAN(san) {
+    const res = this._try(new this.Chess(this.game.fen()), san);
+    if (!res) return null;
+    return res.promotion ? { from: res.from, to: res.to, promotion: res.promotion } : { from: res.from, to: res.to };
+  }
+}
+
+// ---------- Variants ----------
+// Each variant is a LightRules subclass: move generation, outcome() for its win conditions,
+// parseFEN/toFEN for its FEN extensions. Register more with Chessboard.registerVariant().
+const HILL = ["d4", "e4", "d5", "e5"];
+
+class KingOfTheHillRules extends LightRules {
+  outcome() {
+    for (const square of HILL) {
+      const p = this.pieceAt(square);
+      if (p === "K") return { reason: "kingOfTheHill", result: "1-0" };
+      if (p === "k") return { reason: "kingOfTheHill", result: "0-1" };
+    }
+    return null;
+  }
+  // A bare king can still walk to the centre
+  insufficientMaterial() {
+    return false;
+  }
+}
+
+// state.checks counts the checks given by each side; the third one wins
+class ThreeCheckRules extends LightRules {
+  // Remaining checks as a "3+3" field after en passant (X-FEN), or checks given as a trailing "+1+0" (lichess)
+  parseFEN(fen) {
+    const parts = fen.trim().split(/\s+/);
+    let checks = { w: 0, b: 0 };
+    const i = parts.findIndex((x, k) => k >= 4 && /^\d\+\d$/.test(x));
+    if (i >= 0) {
+      const [w, b] = parts.splice(i, 1)[0].split("+").map(Number);
+      checks = { w: 3 - w, b: 3 - b };
+    }
+    const given = /^\+(\d)\+(\d)$/.exec(parts[parts.length - 1]);
+    if (given) {
+      parts.pop();
+      checks = { w: +given[1], b: +given[2] };
+    }
+    const state = parseFEN(parts.join(" "));
+    state.checks = checks;
+    return state;
+  }
+  static validateFEN(fen, opts) {
+    if (typeof fen !== "string") return super.validateFEN(fen, opts);
+    const parts = fen.trim().split(/\s+/);
+    const errors = [];
+    // Either counter form, each side between 0 and 3
+    const i = parts.findIndex((x, k) => (k === 4 && /\+/.test(x)) || (k > 4 && /^\+/.test(x)));
+    if (i >= 0) {
+      if (!/^[0-3]\+[0-3]$|^\+[0-3]\+[0-3]$/.test(parts[i]))
+        errors.push(fenError("checks", "badChecks", `Invalid check counter "${parts[i]}"`));
+      parts.splice(i, 1);
+    }
+    return [...errors, ...super.validateFEN(parts.join(" "), opts)];
+  }
+  toFEN(state) {
+    const [board, turn, castling, ep, half, full] = boardToFEN(state).split(" ");
+    const { w, b } = state.checks || { w: 0, b: 0 };
+    return `${board} ${turn} ${castling} ${ep} ${3 - w}+${3 - b} ${half} ${full}`;
+  }
+  _play(mv, promotion) {
+    const s = super._play(mv, promotion);
+    if (s.inCheck()) s.state.checks[this.state.turn]++;
+    return s;
+  }
+  outcome() {
+    const { w, b } = this.state.checks || { w: 0, b: 0 };
+    if (w >= 3) return { reason: "threeCheck", result: "1-0" };
+    if (b >= 3) return { reason: "threeCheck", result: "0-1" };
+    return null;
+  }
+}
+
+// Captures explode: capturer and every non-pawn piece around the target square are removed.
+// Kings cannot capture, touching kings cannot check each other, exploding the enemy king wins.
+class AtomicRules extends LightRules {
+  _pseudoMoves(square) {
+    const moves = super._pseudoMoves(square);
+    const p = this.pieceAt(square);
+    if (!p || p.toLowerCase() !== "k") return moves;
+    return moves.filter((m) => m.castle || !this.pieceAt(m.to));
+  }
+  _attacked(f, r, byWhite) {
+    return super._attacked(f, r, byWhite, false);
+  }
+  _king(color) {
+    const king = color === "w" ? "K" : "k";
+    for (let r = 0; r < 8; r++) for (let f = 0; f < 8; f++) if (this.state.board[r][f] === king) return { f, r };
+    return null;
+  }
+  // Also decides legality: losing the own king is never allowed, exploding the enemy one always is
+  _inCheck(color) {
+    const own = this._king(color);
+    const enemy = this._king(color === "w" ? "b" : "w");
+    if (!own) return true;
+    if (!enemy || (Math.abs(own.f - enemy.f) <= 1 && Math.abs(own.r - enemy.r) <= 1)) return false;
+    return super._inCheck(color);
+  }
+  _play(mv, promotion) {
+    const capture = !mv.castle && (mv.ep || !!this.pieceAt(mv.to));
+    const s = super._play(mv, promotion);
+    if (!capture) return s;
+    const { f, r } = sqToFR(mv.to);
+    s.state.board[r][f] = null;
+    for (let df = -1; df <= 1; df++)
+      for (let dr = -1; dr <= 1; dr++) {
+        const F = f + df,
+          R = r + dr;
+        if (F < 0 || F > 7 || R < 0 || R > 7) continue;
+        const p = s.state.board[R][F];
+        if (p && p.toLowerCase() !== "p") s.state.board[R][F] = null;
+      }
+    // Exploded kings and rooks take their castling rights with them
+    const kept = [...s._rights()].filter((c) => {
+      const white = c === c.toUpperCase();
+      const home = white ? 0 : 7;
+      return (
+        s.state.board[home][s._rightFile(c)] === (white ? "R" : "r") && s.state.board[home].includes(white ? "K" : "k")
+      );
+    });
+    s.state.castling = kept.join("") || "-";
+    return s;
+  }
+  move(m) {
+    const res = super.move(m);
+    if (res.ok && res.move.captured) res.move.explosion = m.to;
+    return res;
+  }
+  outcome() {
+    if (!this._king("w")) return { reason: "explosion", result: "0-1" };
+    if (!this._king("b")) return { reason: "explosion", result: "1-0" };
+    return null;
+  }
+}
+
+// Captured pieces go to the capturer's pocket (state.pocket, counts by FEN letter) and can be dropped
+// instead of moving: from "N@", to "f3". Promoted pieces (state.promoted) go back as pawns.
+const POCKET_ORDER = ["Q", "R", "B", "N", "P"];
+
+class CrazyhouseRules extends LightRules {
+  // Pocket as "[Qp]" after the placement or as a 9th rank; "~" marks promoted pieces
+  parseFEN(fen) {
+    const parts = fen.trim().split(/\s+/);
+    let placement = parts[0];
+    let pocket = "";
+    const bracket = /^(.*)\[(.*)\]$/.exec(placement);
+    if (bracket) [, placement, pocket] = bracket;
+    else if (placement.split("/").length === 9) {
+      const ranks = placement.split("/");
+      pocket = ranks.pop();
+      placement = ranks.join("/");
+    }
+    const promoted = [];
+    const rows = placement.split("/");
+    rows.forEach((row, i) => {
+      let f = 0;
+      for (const ch of row) {
+        if (ch === "~") promoted.push(sq(f - 1, 7 - i));
+        else f += /[1-8]/.test(ch) ? parseInt(ch, 10) : 1;
+      }
+    });
+    parts[0] = placement.replace(/~/g, "");
+    const state = parseFEN(parts.join(" "));
+    state.pocket = Object.fromEntries(
+      [...POCKET_ORDER, ...POCKET_ORDER.map((p) => p.toLowerCase())].map((p) => [p, 0])
+    );
+    for (const ch of pocket) if (ch in state.pocket) state.pocket[ch]++;
+    state.promoted = promoted;
+    return state;
+  }
+  static validateFEN(fen, opts) {
+    if (typeof fen !== "string") return super.validateFEN(fen, opts);
+    const parts = fen.trim().split(/\s+/);
+    const errors = [];
+    let placement = parts[0];
+    let pocket = "";
+    const bracket = /^(.*)\[(.*)\]$/.exec(placement);
+    if (bracket) [, placement, pocket] = bracket;
+    else if (placement.split("/").length === 9) {
+      const ranks = placement.split("/");
+      pocket = ranks.pop();
+      placement = ranks.join("/");
+    }
+    if (!/^[QRBNPqrbnp]*$/.test(pocket)) errors.push(fenError("pocket", "badPocket", `Invalid pocket "${pocket}"`));
+    if (/(^|[^QRBNqrbn])~/.test(placement))
+      errors.push(fenError("board", "badPromoted", "Promoted marker ~ must follow a queen, rook, bishop or knight"));
+    parts[0] = placement.replace(/~/g, "");
+    // Dropped captures can give a side more than eight pawns
+    return [...errors, ...super.validateFEN(parts.join(" "), opts).filter((e) => e.code !== "tooManyPawns")];
+  }
+  toFEN(state) {
+    const parts = boardToFEN(state).split(" ");
+    const promoted = new Set(state.promoted || []);
+    const rows = parts[0].split("/").map((row, i) => {
+      let out = "";
+      let f = 0;
+      for (const ch of row) {
+        if (/[1-8]/.test(ch)) f += parseInt(ch, 10);
+        else f++;
+        out += ch + (/[a-z]/i.test(ch) && promoted.has(sq(f - 1, 7 - i)) ? "~" : "");
+      }
+      return out;
+    });
+    const pocket = state.pocket || {};
+    const letters = [...POCKET_ORDER, ...POCKET_ORDER.map((p) => p.toLowerCase())];
+    parts[0] = `${rows.join("/")}[${letters.map((p) => p.repeat(pocket[p] || 0)).join("")}]`;
+    return parts.join(" ");
+  }
+  _drops(only) {
+    const me = this.state.turn;
+    const moves = [];
+    for (const type of POCKET_ORDER) {
+      if (only && only !== type) continue;
+      if (!this.state.pocket?.[me === "w" ? type : type.toLowerCase()]) continue;
+      for (let r = 0; r < 8; r++)
+        for (let f = 0; f < 8; f++) {
+          if (this.state.board[r][f] || (type === "P" && (r === 0 || r === 7))) continue;
+          const mv = { from: `${type}@`, to: sq(f, r), drop: type.toLowerCase() };
+          if (!this._play(mv)._inCheck(me)) moves.push(mv);
+        }
+    }
+    return moves;
+  }
+  movesFrom(square) {
+    return isDrop(square) ? this._drops(square[0].toUpperCase()) : super.movesFrom(square);
+  }
+  legalMoves() {
+    return [...super.legalMoves(), ...this._drops()];
+  }
+  _hasLegalMove() {
+    return super._hasLegalMove() || this._drops().length > 0;
+  }
+  move({ from, to, promotion }) {
+    if (!isDrop(from)) return super.move({ from, to, promotion });
+    const mv = this._drops(from[0].toUpperCase()).find((m) => m.to === to);
+    if (!mv) return { ok: false, reason: "illegal" };
+    const s = this._play(mv);
+    const piece = this.state.turn === "w" ? mv.drop.toUpperCase() : mv.drop;
     return {
       ok: true,
       state: s.state,
       fen: s.getFEN(),
-      move: { from, to, piece: p, captured: mv.captured || null, before, after },
+      move: { from, to, piece, drop: mv.drop, san: this._san(mv, null, s) },
     };
   }
+  _play(mv, promotion) {
+    const me = this.state.turn;
+    const own = (p) => (me === "w" ? p.toUpperCase() : p.toLowerCase());
+    if (mv.drop) {
+      const s = this.clone();
+      const { f, r } = sqToFR(mv.to);
+      s.state.board[r][f] = own(mv.drop);
+      s.state.pocket[own(mv.drop)]--;
+      s.state.ep = "-";
+      s.state.turn = me === "w" ? "b" : "w";
+      s.state.halfmove = (s.state.halfmove || 0) + 1;
+      if (s.state.turn === "w") s.state.fullmove = (s.state.fullmove || 1) + 1;
+      return s;
+    }
+    const promoted = this.state.promoted || [];
+    const target = mv.castle ? null : mv.ep ? "p" : this.pieceAt(mv.to);
+    const s = super._play(mv, promotion);
+    if (target) s.state.pocket[own(promoted.includes(mv.to) ? "p" : target)]++;
+    // Promoted markers follow their piece; a fresh promotion adds one
+    const next = promoted.filter((x) => x !== mv.to && x !== mv.from);
+    const p = this.pieceAt(mv.from);
+    if (promoted.includes(mv.from) || (p.toLowerCase() === "p" && (mv.to[1] === "8" || mv.to[1] === "1")))
+      next.push(mv.to);
+    s.state.promoted = next;
+    return s;
+  }
+  _san(mv, promotion, next) {
+    if (!mv.drop) return super._san(mv, promotion, next);
+    const san = `${mv.drop.toUpperCase()}@${mv.to}`;
+    return next.inCheck() ? san + (next._hasLegalMove() ? "+" : "#") : san;
+  }
+  toSAN(m) {
+    if (!isDrop(m.from)) return super.toSAN(m);
+    const mv = this._drops(m.from[0].toUpperCase()).find((x) => x.to === m.to);
+    return mv ? this._san(mv, null, this._play(mv)) : null;
+  }
+  fromSAN(san) {
+    const drop = /^([NBRQP]?)@([a-h][1-8])/.exec(san);
+    if (!drop) return super.fromSAN(san);
+    const from = `${drop[1] || "P"}@`;
+    return this._drops(from[0]).some((m) => m.to === drop[2]) ? { from, to: drop[2] } : null;
+  }
+  // Captured material comes back into play, so a bare board is never a dead draw
+  insufficientMaterial() {
+    return false;
+  }
+}
+
+const VARIANTS = {
+  standard: { rules: LightRules, startFEN: START_FEN },
+  chess960: { rules: LightRules, startFEN: START_FEN, options: { chess960: true }, pgnName: "Chess960" },
+  kingOfTheHill: { rules: KingOfTheHillRules, startFEN: START_FEN, pgnName: "King of the Hill" },
+  threeCheck: {
+    rules: ThreeCheckRules,
+    startFEN: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 3+3 0 1",
+    pgnName: "Three-check",
+    trays: true,
+  },
+  atomic: { rules: AtomicRules, startFEN: START_FEN, pgnName: "Atomic" },
+  crazyhouse: {
+    rules: CrazyhouseRules,
+    startFEN: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[] w KQkq - 0 1",
+    pgnName: "Crazyhouse",
+    trays: true,
+  },
+};
+
+// ---------- PGN ----------
+// Suffix annotations map to their standard NAG numbers
+const NAG_SUFFIXES = { "!": 1, "?": 2, "!!": 3, "??": 4, "!?": 5, "?!": 6 };
+const RESULTS = ["1-0", "0-1", "1/2-1/2", "*"];
+const SEVEN_TAG_ROSTER = ["Event", "Site", "Date", "Round", "White", "Black", "Result"];
+
+// Tags, main line SAN, comments, NAGs and result. Variations are skipped.
+function parsePGN(text) {
+  const tags = {};
+  const moves = [];
+  let result = "*";
+  let comment = null; // comment before the first move
+  const body = text.replace(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm, (_, k, v) => {
+    tags[k] = v.replace(/\\(["\\])/g, "$1");
+    return "";
+  });
+  const addComment = (c) => {
+    c = c.trim().replace(/\s+/g, " ");
+    if (!c) return;
+    const last = moves[moves.length - 1];
+    if (!last) comment = comment ? `${comment} ${c}` : c;
+    else last.comment = last.comment ? `${last.comment} ${c}` : c;
+  };
+  let depth = 0; // variation nesting
+  let i = 0;
+  while (i < body.length) {
+    const ch = body[i];
+    if (ch === "{") {
+      const end = body.indexOf("}", i);
+      if (!depth) addComment(body.slice(i + 1, end < 0 ? body.length : end));
+      i = end < 0 ? body.length : end + 1;
+    } else if (ch === ";") {
+      const end = body.indexOf("\n", i);
+      if (!depth) addComment(body.slice(i + 1, end < 0 ? body.length : end));
+      i = end < 0 ? body.length : end + 1;
+    } else if (ch === "(") {
+      depth++;
+      i++;
+    } else if (ch === ")") {
+      depth = Math.max(0, depth - 1);
+      i++;
+    } else if (/\s/.test(ch)) i++;
+    else {
+      const tok = /^[^\s{}();]+/.exec(body.slice(i))[0];
+      i += tok.length;
+      if (depth) continue;
+      if (RESULTS.includes(tok)) {
+        result = tok;
+        continue;
+      }
+      if (tok === "e.p.") continue; // en passant marker after the capture
+
+      const last = moves[moves.length - 1];
+      if (/^\$\d+$/.test(tok)) {
+        const nag = parseInt(tok.slice(1), 10);
+        if (last && !last.nags.includes(nag)) last.nags.push(nag);
+        continue;
+      }
+      const m = /^(?:\d+\.+)?([^!?]*)([!?]*)$/.exec(tok);
+      if (!m) continue;
+      if (m[1]) moves.push({ san: m[1], nags: [] });
+      const target = m[1] ? moves[moves.length - 1] : last;
+      const nag = NAG_SUFFIXES[m[2]];
+      if (nag && target && !target.nags.includes(nag)) target.nags.push(nag);
+    }
+  }
+  return { tags, moves, result, comment };
+}
+
+// Drawing commands in comments, as written by Lichess and ChessBase: [%cal Ge2e4,Rd7d5] arrows,
+// [%csl Rd5] circled squares. Colours: G(reen), R(ed), Y(ellow), B(lue).
+const SHAPE_COMMAND = /\[%(cal|csl)\s+([^\]]*)\]/g;
+
+// { text, shapes }: the comment without its commands, and { arrows, circles } or null
+function parseShapes(comment) {
+  if (!comment) return { text: comment, shapes: null };
+  const shapes = { arrows: [], circles: [] };
+  const text = comment
+    .replace(SHAPE_COMMAND, (_, cmd, list) => {
+      for (const item of list.split(",")) {
+        const m = /^([GRYB])([a-h][1-8])([a-h][1-8])?$/.exec(item.trim());
+        if (!m) continue;
+        if (cmd === "cal" && m[3]) shapes.arrows.push({ from: m[2], to: m[3], color: m[1] });
+        else if (cmd === "csl" && !m[3]) shapes.circles.push({ square: m[2], color: m[1] });
+      }
+      return "";
+    })
+    .replace(/ {2,}/g, " ")
+    .trim();
+  return { text: text || null, shapes: shapes.arrows.length || shapes.circles.length ? shapes : null };
+}
+
+// The comment with the shapes written back in front, null when there is nothing to write
+function shapesComment(shapes, text) {
+  const letter = (c) => (SHAPE_BRUSHES[c] ? c : "G");
+  const circles = (shapes?.circles || []).map((c) => `${letter(c.color)}${c.square}`);
+  const arrows = (shapes?.arrows || []).map((a) => `${letter(a.color)}${a.from}${a.to}`);
+  const parts = [];
+  if (circles.length) parts.push(`[%csl ${circles.join(",")}]`);
+  if (arrows.length) parts.push(`[%cal ${arrows.join(",")}]`);
+  if (text) parts.push(text);
+  return parts.join(" ") || null;
+}
+
+// variant: PGN name for the Variant tag; defaultFen: the variant's own start position (no FEN tag needed)
+function writePGN({
+  tags,
+  startFen,
+  start = parseFEN(startFen),
+  moves,
+  result,
+  comment,
+  variant,
+  defaultFen = START_FEN,
+}) {
+  const all = {
+    Event: "?",
+    Site: "?",
+    Date: "????.??.??",
+    Round: "?",
+    White: "?",
+    Black: "?",
+    ...tags,
+    Result: result,
+  };
+  if (variant) all.Variant = variant;
+  // 960 games always carry their start position
+  if (startFen !== defaultFen || variant === "Chess960") {
+    all.SetUp = "1";
+    all.FEN = startFen;
+  } else {
+    delete all.SetUp;
+    delete all.FEN;
+  }
+  const keys = [...SEVEN_TAG_ROSTER, ...Object.keys(all).filter((k) => !SEVEN_TAG_ROSTER.includes(k))];
+  const head = keys.map((k) => `[${k} "${String(all[k]).replace(/[\\"]/g, "\\$&")}"]`);
+  const tokens = [];
+  if (comment) tokens.push(`{${comment}}`);
+  let turn = start.turn;
+  let num = start.fullmove || 1;
+  let needNumber = true; // black moves get "N..." after a comment or at the start
+  for (const m of moves) {
+    if (turn === "w") tokens.push(`${num}.`);
+    else if (needNumber) tokens.push(`${num}...`);
+    tokens.push(m.san || m.from + m.to);
+    for (const n of m.nags || []) tokens.push(`$${n}`);
+    needNumber = !!m.comment;
+    if (m.comment) tokens.push(`{${m.comment}}`);
+    if (turn === "b") num++;
+    turn = turn === "w" ? "b" : "w";
+  }
+  tokens.push(result);
+  // Export format keeps lines under 80 characters
+  const lines = [];
+  let line = "";
+  for (const t of tokens) {
+    if (line && line.length + 1 + t.length > 79) {
+      lines.push(line);
+      line = t;
+    } else line = line ? `${line} ${t}` : t;
+  }
+  lines.push(line);
+  return `${head.join("\n")}\n\n${lines.join("\n")}\n`;
+}
+
+// ---------- Game termination ----------
+const FEN_FIELDS = ["board", "turn", "castling", "ep", "halfmove", "fullmove"];
+
+// Position identity for repetition: placement, side, castling and a *capturable* en passant square, plus
+// the extra state a variant's rules parse (three-check counters)
+function positionKey(fen, rules = null) {
+  const st = rules?.parseFEN ? rules.parseFEN(fen) : parseFEN(fen);
+  let ep = "-";
+  if (st.ep && st.ep !== "-") {
+    const { f, r } = sqToFR(st.ep);
+    const pawn = st.turn === "w" ? "P" : "p";
+    const from = st.turn === "w" ? r - 1 : r + 1;
+    if (st.board[from]?.[f - 1] === pawn || st.board[from]?.[f + 1] === pawn) ep = st.ep;
+  }
+  const extra = Object.keys(st).filter((k) => !FEN_FIELDS.includes(k));
+  const key = fen.trim().split(/\s+/).slice(0, 3).join(" ") + " " + ep;
+  return extra.length ? `${key} ${JSON.stringify(extra.map((k) => st[k]))}` : key;
+}
+
+// Neither side can mate: bare kings, a single minor piece, or bishops all on one square colour
+function insufficientMaterial(board) {
+  const minors = [];
+  for (let r = 0; r < 8; r++)
+    for (let f = 0; f < 8; f++) {
+      const p = board[r][f];
+      if (!p || p.toLowerCase() === "k") continue;
+      if (!"bn".includes(p.toLowerCase())) return false;
+      minors.push({ type: p.toLowerCase(), shade: (r + f) % 2 });
+    }
+  if (minors.length <= 1) return true;
+  return minors.every((m) => m.type === "b" && m.shade === minors[0].shade);
 }
 
 function boardToArr(board) {
@@ -326,6 +1295,12 @@ function boardToArr(board) {
 function sq(file, rank) {
   return FILES[file] + RANKS[rank];
 }
+// Crazyhouse drops use "N@" (piece letter, then @) as their from square
+const isDrop = (square) => !!square && square[1] === "@";
+// UCI notation: e2e4, e7e8q, N@f3
+const fromUCI = (uci) => ({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+const toUCI = ({ from, to, promotion }) => from + to + (promotion || "");
+
 function sqToFR(square) {
   const f = FILES.indexOf(square[0]);
   const r = RANKS.indexOf(square[1]);
@@ -349,11 +1324,14 @@ class FlatSprites {
     ctx.quadraticCurveTo(x, y, x + rr, y);
     ctx.closePath();
   }
-  constructor(size, colors) {
+  // pieces: optional custom piece set ({ draw(ctx, piece, x, y, size) }), drawn in place of the flat art.
+  // size 0: no sprite sheet, pieces are drawn straight onto the target with _drawCell.
+  constructor(size, colors, pieces = null) {
     this.size = size;
     this.colors = colors;
+    this.pieces = pieces;
     this.cache = new Map();
-    this.sheet = this._buildSheet(size);
+    this.sheet = size ? this._buildSheet(size) : null;
   }
   key(size) {
     return `${size}`;
@@ -372,11 +1350,18 @@ class FlatSprites {
     const ctx = sheet.getContext("2d");
     const order = ["k", "q", "r", "b", "n", "p"];
     order.forEach((t, i) => {
-      this._drawPiece(ctx, i * px, 0, px, t, "black");
-      this._drawPiece(ctx, i * px, px, px, t, "white");
+      this._drawCell(ctx, i * px, 0, px, t);
+      this._drawCell(ctx, i * px, px, px, t.toUpperCase());
     });
     return sheet;
   }
+  // The custom set first; the flat piece when there is none or its draw() returns false
+  _drawCell(ctx, x, y, s, piece) {
+    ctx.save();
+    const drawn = !!this.pieces && this.pieces.draw(ctx, piece, x, y, s) !== false;
+    ctx.restore();
+    if (!drawn) this._drawPiece(ctx, x, y, s, piece.toLowerCase(), isWhitePiece(piece) ? "white" : "black");
+  }
   _drawPiece(ctx, x, y, s, type, color) {
     const C = color === "white" ? this.colors.whitePiece : this.colors.blackPiece;
     const S = this.colors.pieceShadow;
@@ -518,6 +1503,231 @@ class FlatSprites {
 }
 
 // Colors & themes
+// pieceSet option given as { K: "<svg ...>", q: "pieces/bq.png", ... }: SVG markup or image URLs
+// (data URLs included) per piece letter. Letters left out, or whose image fails, keep the flat pieces.
+// onLoad runs once every image has loaded or failed, so the sheet is rebuilt once for the whole set;
+// `loaded` settles after it.
+function imagePieceSet(map, onLoad) {
+  const images = {};
+  const failed = new Set();
+  const decoding = [];
+  let ready = false;
+  for (const [piece, src] of Object.entries(map)) {
+    if (!PIECES.includes(piece) || typeof src !== "string") continue;
+    const url = src.trim().startsWith("<") ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(src)}` : src;
+    images[piece] = null;
+    decoding.push(
+      loadImage(url).then(
+        (img) => (images[piece] = img),
+        (err) => {
+          console.warn(`[NCB] Could not load the image for piece "${piece}": ${err?.message || "load failed"}.`);
+          failed.add(piece);
+        }
+      )
+    );
+  }
+  const loaded = Promise.all(decoding).then(() => {
+    ready = true;
+    onLoad();
+  });
+  return {
+    loaded,
+    draw(ctx, piece, x, y, size) {
+      if (!(piece in images) || failed.has(piece)) return false;
+      // Still loading: an empty cell rather than a flash of the flat piece
+      if (ready) ctx.drawImage(images[piece], x, y, size, size);
+      return true;
+    },
+  };
+}
+
+// A decoded image for drawImage(): an <img> with the DOM, else (Workers) an ImageBitmap of the fetched
+// file. Browsers may not decode SVG into an ImageBitmap; that piece then fails like a missing file.
+function loadImage(url) {
+  if (typeof Image === "function") {
+    const img = new Image();
+    const loaded = new Promise((resolve, reject) => {
+      img.onload = resolve;
+      img.onerror = () => reject(new Error("load failed"));
+    });
+    img.src = url;
+    return loaded.then(() => img.decode?.()).then(() => img);
+  }
+  if (typeof fetch !== "function" || typeof createImageBitmap !== "function")
+    return Promise.reject(new Error("no Image, nor fetch and createImageBitmap, here"));
+  return fetch(url)
+    .then((res) => (res.ok ? res.blob() : Promise.reject(new Error(`HTTP ${res.status}`))))
+    .then((blob) => createImageBitmap(blob));
+}
+
+// ---------- SVG export ----------
+// Records the subset of CanvasRenderingContext2D the board draws with (paths, arcs, rects, text, images,
+// translate / scale) as SVG markup, so toSVG() runs the canvas drawing code unchanged.
+const SVG_STATE = [
+  "fillStyle",
+  "strokeStyle",
+  "lineWidth",
+  "lineCap",
+  "lineJoin",
+  "globalAlpha",
+  "globalCompositeOperation",
+  "font",
+  "textAlign",
+  "textBaseline",
+  "_t",
+];
+const XML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+const xml = (v) => String(v).replace(/[&<>"]/g, (c) => XML_ENTITIES[c]);
+const num = (v) => +v.toFixed(2);
+let svgMaskId = 0;
+
+class SVGContext {
+  constructor() {
+    this.out = [];
+    this.fillStyle = "#000";
+    this.strokeStyle = "#000";
+    this.lineWidth = 1;
+    this.lineCap = "butt";
+    this.lineJoin = "miter";
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = "source-over";
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.textBaseline = "alphabetic";
+    this._t = { x: 0, y: 0, sx: 1, sy: 1 };
+    this._stack = [];
+    this._d = "";
+  }
+  save() {
+    this._stack.push(Object.fromEntries(SVG_STATE.map((k) => [k, this[k]])));
+  }
+  restore() {
+    Object.assign(this, this._stack.pop());
+  }
+  translate(x, y) {
+    const t = this._t;
+    this._t = { ...t, x: t.x + x * t.sx, y: t.y + y * t.sy };
+  }
+  scale(x, y) {
+    this._t = { ...this._t, sx: this._t.sx * x, sy: this._t.sy * y };
+  }
+  _pt(x, y) {
+    return `${num(this._t.x + x * this._t.sx)} ${num(this._t.y + y * this._t.sy)}`;
+  }
+  beginPath() {
+    this._d = "";
+  }
+  moveTo(x, y) {
+    this._d += `M${this._pt(x, y)}`;
+  }
+  lineTo(x, y) {
+    this._d += `L${this._pt(x, y)}`;
+  }
+  quadraticCurveTo(cx, cy, x, y) {
+    this._d += `Q${this._pt(cx, cy)} ${this._pt(x, y)}`;
+  }
+  closePath() {
+    this._d += "Z";
+  }
+  rect(x, y, w, h) {
+    this._d += `M${this._pt(x, y)}L${this._pt(x + w, y)}L${this._pt(x + w, y + h)}L${this._pt(x, y + h)}Z`;
+  }
+  arc(x, y, r, a0, a1, ccw) {
+    this.ellipse(x, y, r, r, 0, a0, a1, ccw);
+  }
+  // Canvas arcs as SVG "A" segments: a full turn needs two of them
+  ellipse(x, y, rx, ry, rot, a0, a1, ccw = false) {
+    const at = (a) => {
+      const ex = rx * Math.cos(a),
+        ey = ry * Math.sin(a);
+      return this._pt(x + ex * Math.cos(rot) - ey * Math.sin(rot), y + ex * Math.sin(rot) + ey * Math.cos(rot));
+    };
+    const TAU = Math.PI * 2;
+    let sweep = ccw ? a0 - a1 : a1 - a0;
+    const full = sweep >= TAU;
+    if (!full) sweep = ((sweep % TAU) + TAU) % TAU;
+    const dir = ccw ? -1 : 1;
+    const flip = this._t.sx * this._t.sy < 0;
+    const arc = `A${num(rx * Math.abs(this._t.sx))} ${num(ry * Math.abs(this._t.sy))} ${num((rot * 180) / Math.PI)}`;
+    const sf = ccw !== flip ? 0 : 1;
+    this._d += `${this._d ? "L" : "M"}${at(a0)}`;
+    if (full) this._d += `${arc} 0 ${sf} ${at(a0 + Math.PI * dir)}${arc} 0 ${sf} ${at(a0)}`;
+    else if (sweep) this._d += `${arc} ${sweep > Math.PI ? 1 : 0} ${sf} ${at(a0 + sweep * dir)}`;
+  }
+  fill() {
+    this._emit(`<path d="${this._d}"${this._paint("fill")}/>`);
+  }
+  stroke() {
+    this._emit(`<path d="${this._d}" fill="none"${this._paint("stroke")}/>`);
+  }
+  fillRect(x, y, w, h) {
+    this.beginPath();
+    this.rect(x, y, w, h);
+    this.fill();
+  }
+  strokeRect(x, y, w, h) {
+    this.beginPath();
+    this.rect(x, y, w, h);
+    this.stroke();
+  }
+  clearRect() {} // the document starts empty
+  fillText(text, x, y) {
+    const [tx, ty] = this._pt(x, y).split(" ");
+    const anchor = { center: "middle", right: "end", end: "end" }[this.textAlign] || "start";
+    const baseline =
+      { top: "text-before-edge", hanging: "hanging", middle: "central", bottom: "text-after-edge" }[
+        this.textBaseline
+      ] || "alphabetic";
+    this._emit(
+      `<text x="${tx}" y="${ty}" style="font:${xml(this.font)}" text-anchor="${anchor}" ` +
+        `dominant-baseline="${baseline}"${this._paint("fill")}>${xml(text)}</text>`
+    );
+  }
+  // drawImage(img, dx, dy, dw, dh) or, with a source rectangle, (img, sx, sy, sw, sh, dx, dy, dw, dh)
+  drawImage(img, ...args) {
+    const href = xml(img.src || img.toDataURL?.() || "");
+    const crop = args.length >= 8;
+    const [dx, dy, dw = img.width, dh = img.height] = crop ? args.slice(4) : args;
+    const [x, y] = this._pt(dx, dy).split(" ");
+    const box = `x="${x}" y="${y}" width="${num(dw * Math.abs(this._t.sx))}" height="${num(dh * Math.abs(this._t.sy))}"`;
+    const image = `<image href="${href}" preserveAspectRatio="none"`;
+    if (!crop) return this._emit(`${image} ${box}${this._paint()}/>`);
+    // The source rectangle becomes the viewBox of a nested viewport
+    const [sx, sy, sw, sh] = args;
+    this._emit(
+      `<svg ${box} viewBox="${sx} ${sy} ${sw} ${sh}" preserveAspectRatio="none"${this._paint()}>` +
+        `${image} width="${img.width}" height="${img.height}"/></svg>`
+    );
+  }
+  _paint(kind) {
+    let attrs = "";
+    if (kind) attrs += ` ${kind}="${xml(kind === "fill" ? this.fillStyle : this.strokeStyle)}"`;
+    if (kind === "stroke")
+      attrs +=
+        ` stroke-width="${num(this.lineWidth * Math.abs(this._t.sx))}"` +
+        ` stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"`;
+    if (this.globalAlpha !== 1) attrs += ` opacity="${num(this.globalAlpha)}"`;
+    return attrs;
+  }
+  _emit(el) {
+    if (this.globalCompositeOperation !== "destination-out") {
+      this.out.push(el);
+      return;
+    }
+    // Erasing masks what is drawn so far, as on a canvas (the bishop's mitre slot)
+    const id = `ncb-mask-${++svgMaskId}`;
+    const cut = el.replace(/(fill|stroke)="(?!none")[^"]*"/g, '$1="#000"');
+    const area = 'x="-1e5" y="-1e5" width="2e5" height="2e5"';
+    this.out = [
+      `<mask id="${id}" maskUnits="userSpaceOnUse" ${area}><rect ${area} fill="#fff"/>${cut}</mask>` +
+        `<g mask="url(#${id})">${this.out.join("")}</g>`,
+    ];
+  }
+  toString() {
+    return this.out.join("");
+  }
+}
+
 const THEMES = {
   classic: {
     light: "#EBEDF0",
@@ -532,6 +1742,14 @@ const THEMES = {
     premove: "rgba(147,51,234,0.35)",
     dot: "rgba(2,6,23,0.35)",
     arrow: "rgba(34,197,94,0.9)",
+    focus: "rgba(37,99,235,0.9)",
+    explosion: "rgba(249,115,22,0.85)",
+    shapeGreen: "rgba(21,128,61,0.8)",
+    shapeRed: "rgba(220,38,38,0.8)",
+    shapeBlue: "rgba(37,99,235,0.8)",
+    shapeYellow: "rgba(234,179,8,0.85)",
+    coords: "rgba(0,0,0,0.35)",
+    coordsFont: "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto",
   },
   midnight: {
     light: "#2A2F3A",
@@ -546,248 +1764,91 @@ const THEMES = {
     premove: "rgba(147,51,234,0.30)",
     dot: "rgba(255,255,255,0.35)",
     arrow: "rgba(59,130,246,0.9)",
+    focus: "rgba(250,204,21,0.9)",
+    explosion: "rgba(251,146,60,0.85)",
+    shapeGreen: "rgba(34,197,94,0.8)",
+    shapeRed: "rgba(248,113,113,0.8)",
+    shapeBlue: "rgba(96,165,250,0.8)",
+    shapeYellow: "rgba(250,204,21,0.85)",
+    coords: "rgba(0,0,0,0.35)",
+    coordsFont: "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto",
   },
 };
+const THEME_KEYS = Object.keys(THEMES.classic);
+// Attributes of the board and its ancestors that var() themes are re-resolved on, see _watchTheme()
+const THEME_ATTRIBUTES = ["class", "style", "data-theme"];
+// Every key read from a --ncb-* custom property (whitePiece -> --ncb-white-piece), classic colours as fallback
+THEMES.css = Object.fromEntries(
+  THEME_KEYS.map((k) => [k, `var(--ncb-${k.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase())}, ${THEMES.classic[k]})`])
+);
 
-// ---------- Main Chessboard ----------
-export class Chessboard {
-  // Public overlay API
-  addArrow(from, to, color) {
-    if (!this._arrows) this._arrows = [];
-    this._arrows.push({ from, to, color });
-    this._drawOverlay();
+// A registered theme with its var() values resolved against a computed style, or their fallbacks
+function themeColors(name, style = null) {
+  return Object.fromEntries(Object.entries(THEMES[name]).map(([k, v]) => [k, cssThemeValue(v, style)]));
+}
+
+// Resolves "var(--name, fallback)" against computed style; other values pass through
+function cssThemeValue(value, style) {
+  const m = /^\s*var\(\s*(--[\w-]+)\s*(?:,\s*([^]*?))?\s*\)\s*$/.exec(value);
+  if (!m) return value;
+  const v = style?.getPropertyValue(m[1]).trim();
+  if (v) return v;
+  return m[2] !== undefined ? cssThemeValue(m[2], style) : value;
+}
+
+// ---------- Renderer ----------
+// Draws positions on any 2D context: the board's canvases, an OffscreenCanvas in a Worker, a canvas
+// on a server. Nothing here touches the DOM but the optional sprite sheet.
+export class BoardRenderer {
+  // size: board edge in context pixels. theme: a registered theme name, or colours over classic.
+  // pieceSet: a renderer { draw(ctx, piece, x, y, size) }, or piece letters -> SVG markup or image URLs
+  // loaded in the background (`ready` settles once they are in: draw again then). pixelRatio: device
+  // pixels per CSS pixel, for arrow sizes. sheet: draw the pieces once into a sprite sheet (OffscreenCanvas
+  // or a canvas element) and copy them, for boards redrawn every frame.
+  constructor({
+    size = 480,
+    theme = "midnight",
+    orientation = "white",
+    showCoordinates = true,
+    pieceSet = null,
+    pixelRatio = 1,
+    sheet = false,
+  } = {}) {
+    if (typeof theme === "string" && !THEMES[theme]) throw new Error(`Unknown theme "${theme}"`);
+    this.size = size;
+    this.theme = typeof theme === "string" ? themeColors(theme) : { ...THEMES.classic, ...theme };
+    this.orientation = orientation;
+    this.showCoords = showCoordinates;
+    this.pieceSet =
+      pieceSet && typeof pieceSet.draw !== "function" ? imagePieceSet(pieceSet, () => this.rasterize()) : pieceSet;
+    this.ready = this.pieceSet?.loaded || Promise.resolve();
+    this.pixelRatio = pixelRatio;
+    this.sheet = sheet;
+    this.rasterize();
   }
-  clearArrows() {
-    this._arrows = [];
-    this._drawOverlay();
+
+  get square() {
+    return this.size / 8;
   }
-  highlightSquares(squares, style = "fromTo") {
-    this._customHighlights = { squares, style };
-    this._drawOverlay();
-  }
-  clearHighlights() {
-    this._customHighlights = null;
-    this._drawOverlay();
-  }
-
-  static FEN = { start: START_FEN };
-  constructor(root, opts = {}) {
-    this.root = typeof root === "string" ? document.querySelector(root) : root;
-    if (!this.root) throw new Error("Root element not found");
-
-    // Options
-    this.size = opts.size || 480;
-    this.orientation = opts.orientation || "white"; // 'white' bottom or 'black'
-    this.interactive = opts.interactive !== false; // default true
-    this.themeName = opts.theme || "midnight";
-    this.theme = { ...THEMES[this.themeName] };
-    this.showCoords = opts.showCoordinates ?? true;
-    this.animationMs = opts.animationMs || 150;
-    this.highlightLegal = opts.highlightLegal ?? true;
-
-    // Rules adapter
-    if (opts.rulesAdapter) this.rules = opts.rulesAdapter;
-    else if (typeof window !== "undefined" && window.Chess) {
-      const game = new window.Chess();
-      this.rules = {
-        setFEN: (f) => game.load(f),
-        getFEN: () => game.fen(),
-        turn: () => game.turn(),
-        movesFrom: (sq) =>
-          game
-            .moves({ square: sq, verbose: true })
-            .map((m) => ({ from: m.from, to: m.to, promotion: m.promotion, captured: m.captured })),
-        move: ({ from, to, promotion }) => {
-          const res = game.move({ from, to, promotion: promotion || "q" });
-          if (!res) return { ok: false, reason: "illegal" };
-          return { ok: true, fen: game.fen(), move: res, state: null };
-        },
-      };
-      this._usingChessJS = true;
-    } else {
-      console.warn("[NCB] chess.js not found. Using light rules (no check/mate validation).");
-      this.rules = new LightRules();
-    }
-
-    // State
-    this.state = parseFEN(START_FEN);
-    this.bus = new EventBus();
-    this._arrows = [];
-    this._highlights = []; // for right-click highlights
-    this._customHighlights = null;
-    this._lastMove = null;
-    this._premove = null;
-    this._dragging = null;
-    this._drawingState = null; // For right-click drawings
-    this._hoverSq = null;
-    this._selected = null;
-    this._legalCached = null;
-
-    // DOM & canvases
-    this._buildDOM();
-    this._attachEvents();
-    this.setPosition(opts.fen || START_FEN, { immediate: true });
-    this.resize();
-  }
-
-  on(type, fn) {
-    return this.bus.on(type, fn);
-  }
-
-  destroy() {
-    this._removeEvents();
-    this.root.innerHTML = "";
-  }
-
-  setTheme(name) {
-    if (!THEMES[name]) return;
-    this.themeName = name;
-    this.theme = { ...THEMES[name] };
-    this._rasterize();
-    this.renderAll();
-  }
-
-  setOrientation(o) {
-    this.orientation = o === "black" ? "black" : "white";
-    this.renderAll();
-  }
-
-  flip() {
-    this.setOrientation(this.orientation === "white" ? "black" : "white");
-  }
-
-  getPosition() {
-    return boardToFEN(this.state);
-  }
-
-  // Programmatic move with animation
-  move(from, to, promotion = "q") {
-    const res = this.rules.move({ from, to, promotion });
-    if (res && res.ok) {
-      const oldState = JSON.parse(JSON.stringify(this.state));
-      const newFen = this._usingChessJS ? this.rules.getFEN() : res.fen;
-      const newState = parseFEN(newFen);
-      this._lastMove = { from, to };
-      this.state = newState; // Update state immediately
-      this.rules.setFEN(newFen);
-      this._animateTo(newState, oldState);
-      this.bus.emit("move", { from, to, fen: newFen });
-      return true;
-    } else {
-      this.bus.emit("illegal", { from, to, reason: res?.reason || "illegal" });
-      return false;
-    }
-  }
-
-  _checkAndPlayPremove() {
-    if (!this._premove) return;
-    const { from, to } = this._premove;
-    const piece = this._pieceAt(from);
-    if (!piece) {
-      this._premove = null;
-      this.renderAll(); // Redraw to clear premove highlight
-      return;
-    }
-    const side = isWhitePiece(piece) ? "w" : "b";
-    if (side === this.state.turn) {
-      const premoveToPlay = this._premove;
-      this._premove = null; // Clear before moving to avoid loops
-      if (!this.move(premoveToPlay.from, premoveToPlay.to)) {
-        // Premove was illegal (e.g. king is in check). Clear and redraw.
-        this.renderAll();
-      }
-    }
-  }
-
-  setPosition(fen, { immediate = false } = {}) {
-    const oldState = JSON.parse(JSON.stringify(this.state));
-    this.rules.setFEN(fen);
-    this.state = parseFEN(this.rules.getFEN());
-    this._lastMove = null;
-    this._premove = null;
-
-    if (immediate) {
-      this._clearAnim();
-      this.renderAll();
-    } else {
-      // Animate from old to new.
-      this._animateTo(this.state, oldState);
-    }
-    this.bus.emit("update", { fen: this.getPosition() });
-  }
-
-  // ---------- DOM ----------
-  _buildDOM() {
-    this.root.classList.add("ncb-root");
-    this.root.style.position = "relative";
-    this.root.style.userSelect = "none";
-    this.root.style.width = this.size + "px";
-    this.root.style.height = this.size + "px";
-
-    // Layers: board, pieces, overlay
-    this.cBoard = document.createElement("canvas");
-    this.cPieces = document.createElement("canvas");
-    this.cOverlay = document.createElement("canvas");
-    for (const c of [this.cBoard, this.cPieces, this.cOverlay]) {
-      c.style.position = "absolute";
-      c.style.left = "0";
-      c.style.top = "0";
-      c.style.width = "100%";
-      c.style.height = "100%";
-      this.root.appendChild(c);
-    }
-
-    this.ctxB = this.cBoard.getContext("2d");
-    this.ctxP = this.cPieces.getContext("2d");
-    this.ctxO = this.cOverlay.getContext("2d");
-
-    // Sprites
-    this._rasterize();
-
-    // Resize observer for responsive containers
-    this._ro = new ResizeObserver(() => this.resize());
-    this._ro.observe(this.root);
-  }
-
-  resize() {
-    const rect = this.root.getBoundingClientRect();
-    const sz = Math.min(rect.width, rect.height);
-    const dpr = window.devicePixelRatio || 1;
-    for (const c of [this.cBoard, this.cPieces, this.cOverlay]) {
-      c.width = Math.round(sz * dpr);
-      c.height = Math.round(sz * dpr);
-    }
-    this.sizePx = sz;
-    this.square = (sz * dpr) / 8;
-    this.dpr = dpr;
-    this.renderAll();
-  }
-
-  _rasterize() {
-    this.sprites = new FlatSprites(128, this.theme); // base 128 then scaled
-  }
-
-  // ---------- Rendering ----------
-  renderAll() {
-    this._drawBoard();
-    this._drawPieces();
-    this._drawOverlay();
+
+  // Rebuilds the piece art after a change of size, theme or piece set. Sheet cells match a square, so
+  // pieces are copied 1:1.
+  rasterize() {
+    this.sprites = new FlatSprites(this.sheet ? Math.max(16, Math.round(this.square)) : 0, this.theme, this.pieceSet);
   }
 
-  _sqToXY(square) {
+  sqToXY(square) {
     const { f, r } = sqToFR(square);
     const ff = this.orientation === "white" ? f : 7 - f; // file on canvas
     const rr = this.orientation === "white" ? 7 - r : r; // rank on canvas (y-coord)
     return { x: ff * this.square, y: rr * this.square };
   }
 
-  _drawBoard() {
-    const ctx = this.ctxB;
+  drawBoard(ctx) {
     const s = this.square;
     const { light, dark, boardBorder } = this.theme; // a1 is light with (r+f)%2===0
-    const W = this.cBoard.width,
-      H = this.cBoard.height;
-    ctx.clearRect(0, 0, W, H);
+    const W = this.size,
+      H = this.size;
     // Border glow
     ctx.fillStyle = boardBorder;
     ctx.fillRect(0, 0, W, H);
@@ -802,10 +1863,10 @@ export class Chessboard {
     // Coordinates
     if (this.showCoords) {
       ctx.save();
-      ctx.font = `${Math.floor(s * 0.18)}px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto`;
+      ctx.font = `${Math.floor(s * 0.18)}px ${this.theme.coordsFont}`;
       ctx.textBaseline = "bottom";
       ctx.textAlign = "left";
-      ctx.fillStyle = "rgba(0,0,0,0.35)";
+      ctx.fillStyle = this.theme.coords;
       for (let f = 0; f < 8; f++) {
         const file = this.orientation === "white" ? FILES[f] : FILES[7 - f];
         ctx.fillText(file, f * s + s * 0.06, H - s * 0.06);
@@ -820,145 +1881,187 @@ export class Chessboard {
     }
   }
 
-  _drawPieceSprite(ctx, piece, x, y, scale = 1) {
+  // Centered in the square at (x, y), scaled for drag lift and small previews
+  drawPiece(ctx, piece, x, y, scale = 1) {
+    const s = this.square;
+    const d = s * scale;
+    const dx = x + (s - d) / 2;
+    const dy = y + (s - d) / 2;
+    if (!this.sprites.sheet) {
+      this.sprites._drawCell(ctx, dx, dy, d, piece);
+      return;
+    }
     // Map piece to spritesheet index
     const map = { k: 0, q: 1, r: 2, b: 3, n: 4, p: 5 };
-    const isW = isWhitePiece(piece);
-    const idx = map[piece.toLowerCase()];
-    const s128 = 128;
-    const sx = idx * s128;
-    const sy = isW ? s128 : 0;
-    const size = this.square;
-    const drawS = Math.min(this.square, this.square); // full square
-    const d = drawS * scale;
-    const dx = x + (this.square - d) / 2;
-    const dy = y + (this.square - d) / 2;
-    this.ctxP.drawImage(this.sprites.sheet, sx, sy, s128, s128, dx, dy, d, d);
+    const cell = this.sprites.size;
+    const sx = map[piece.toLowerCase()] * cell;
+    const sy = isWhitePiece(piece) ? cell : 0;
+    ctx.drawImage(this.sprites.sheet, sx, sy, cell, cell, dx, dy, d, d);
   }
 
-  _drawPieces() {
-    const ctx = this.ctxP;
-    const W = this.cPieces.width,
-      H = this.cPieces.height;
-    ctx.clearRect(0, 0, W, H);
-    // Draw all except the dragging one
-    const draggingSq = this._dragging?.from;
+  // skip: a square left empty, such as the origin of a dragged piece
+  drawPieces(ctx, board, skip = null) {
     for (let r = 0; r < 8; r++)
       for (let f = 0; f < 8; f++) {
-        const p = this.state.board[r][f];
+        const p = board[r][f];
         if (!p) continue;
         const square = sq(f, r);
-        if (draggingSq === square) continue;
-        const { x, y } = this._sqToXY(square);
-        this._drawPieceSprite(ctx, p, x, y, 1.0);
+        if (skip === square) continue;
+        const { x, y } = this.sqToXY(square);
+        this.drawPiece(ctx, p, x, y, 1.0);
       }
-    // Dragging piece on top
-    if (this._dragging) {
-      const { piece, x, y } = this._dragging;
-      this._drawPieceSprite(ctx, piece, x - this.square / 2, y - this.square / 2, 1.05);
-    }
   }
 
-  _drawOverlay() {
-    const ctx = this.ctxO;
-    const W = this.cOverlay.width,
-      H = this.cOverlay.height;
-    ctx.clearRect(0, 0, W, H);
-
-    // Draw temporary arrow for right-click drag
-    if (this._drawingState && this._drawingState.to) {
-      const startCoords = this._sqToXY(this._drawingState.from);
-      const fromX = startCoords.x + this.square / 2;
-      const fromY = startCoords.y + this.square / 2;
-      const { x: toX, y: toY } = this._drawingState.to;
-      this._drawArrowBetweenPoints(ctx, fromX, fromY, toX, toY, this.theme.arrow);
-    }
+  // A CSS colour, or an annotation colour letter (G, R, Y, B) in the theme's shades
+  brush(color, fallback = this.theme.arrow) {
+    return SHAPE_BRUSHES[color] ? this.theme[SHAPE_BRUSHES[color]] : color || fallback;
+  }
 
+  // Marks, bottom to top, all optional: preview { from, x, y, color } (arrow being drawn to a point),
+  // lastMove { from, to }, highlights [squares], selected, dots [squares], arrows [{ from, to, color }],
+  // circles [{ square, color }], premove { from, to }, target (drop square), badges [{ square, glyph, color,
+  // scale }], cursor (keyboard), promotion [{ piece, square }]. Arrow and circle colours may be annotation
+  // letters, see brush().
+  drawOverlay(ctx, marks = {}) {
     const s = this.square;
-
-    // Last move highlight
-    if (this._lastMove) {
-      const { from, to } = this._lastMove;
-      const A = this._sqToXY(from),
-        B = this._sqToXY(to);
-      ctx.fillStyle = this.theme.lastMove;
-      ctx.fillRect(A.x, A.y, s, s);
-      ctx.fillRect(B.x, B.y, s, s);
-    }
-
-    // Custom highlights
-    if (this._customHighlights && this._customHighlights.squares) {
-      const col = this.theme.moveTo;
-      ctx.fillStyle = col;
-      for (const sqr of this._customHighlights.squares) {
-        const B = this._sqToXY(sqr);
-        ctx.fillRect(B.x, B.y, s, s);
+    const {
+      preview,
+      lastMove,
+      highlights,
+      selected,
+      dots,
+      arrows,
+      circles,
+      premove,
+      target,
+      badges,
+      cursor,
+      promotion,
+    } = marks;
+    const fill = (squares, color) => {
+      ctx.fillStyle = color;
+      for (const square of squares) {
+        if (isDrop(square)) continue; // pocket pieces are marked on their tray
+        const { x, y } = this.sqToXY(square);
+        ctx.fillRect(x, y, s, s);
       }
-    }
+    };
 
-    // Selection & legal dots
-    if (this._selected) {
-      const A = this._sqToXY(this._selected);
-      ctx.fillStyle = this.theme.moveFrom;
-      ctx.fillRect(A.x, A.y, s, s);
-      if (this.highlightLegal && this._legalCached) {
-        ctx.fillStyle = this.theme.dot;
-        for (const m of this._legalCached) {
-          const B = this._sqToXY(m.to);
-          ctx.beginPath();
-          ctx.arc(B.x + s / 2, B.y + s / 2, s * 0.12, 0, Math.PI * 2);
-          ctx.fill();
-        }
+    if (preview) {
+      const A = this.sqToXY(preview.from);
+      this.drawArrowBetweenPoints(ctx, A.x + s / 2, A.y + s / 2, preview.x, preview.y, this.brush(preview.color));
+    }
+    if (lastMove) fill([lastMove.from, lastMove.to], this.theme.lastMove);
+    if (highlights) fill(highlights, this.theme.moveTo);
+    if (selected) fill([selected], this.theme.moveFrom);
+    if (dots) {
+      ctx.fillStyle = this.theme.dot;
+      for (const square of dots) {
+        const B = this.sqToXY(square);
+        ctx.beginPath();
+        ctx.arc(B.x + s / 2, B.y + s / 2, s * 0.12, 0, Math.PI * 2);
+        ctx.fill();
       }
     }
-
-    // Arrows
-    for (const a of this._arrows) {
-      this._drawArrow(a.from, a.to, a.color || this.theme.arrow);
+    for (const a of arrows || []) this.drawArrow(ctx, a.from, a.to, this.brush(a.color), a.weight);
+    for (const c of circles || []) {
+      const { x, y } = this.sqToXY(c.square);
+      const lw = s * 0.07;
+      ctx.strokeStyle = this.brush(c.color, this.theme.shapeGreen);
+      ctx.lineWidth = lw;
+      ctx.beginPath();
+      ctx.arc(x + s / 2, y + s / 2, s / 2 - lw / 2 - s * 0.02, 0, Math.PI * 2);
+      ctx.stroke();
     }
+    if (premove) fill([premove.from, premove.to], this.theme.premove);
+    if (target) fill([target], this.theme.moveTo);
+    for (const b of badges || []) this.drawBadge(ctx, b.square, b.glyph, b.color, b.scale);
 
-    // Highlights from right-click
-    ctx.fillStyle = this.theme.moveTo;
-    for (const sq of this._highlights) {
-      const { x, y } = this._sqToXY(sq);
-      ctx.fillRect(x, y, s, s);
+    if (cursor) {
+      const { x, y } = this.sqToXY(cursor);
+      const lw = Math.max(2, s * 0.06);
+      ctx.strokeStyle = this.theme.focus;
+      ctx.lineWidth = lw;
+      ctx.strokeRect(x + lw / 2, y + lw / 2, s - lw, s - lw);
     }
 
-    // Premove squares
-    if (this._premove) {
-      const A = this._sqToXY(this._premove.from),
-        B = this._sqToXY(this._premove.to);
-      ctx.fillStyle = this.theme.premove;
-      ctx.fillRect(A.x, A.y, s, s);
-      ctx.fillRect(B.x, B.y, s, s);
+    // Promotion picker on top of everything
+    if (promotion) {
+      ctx.fillStyle = "rgba(0,0,0,0.45)";
+      ctx.fillRect(0, 0, this.size, this.size);
+      for (const { piece, square } of promotion) {
+        const { x, y } = this.sqToXY(square);
+        ctx.fillStyle = this.theme.light;
+        ctx.beginPath();
+        ctx.arc(x + s / 2, y + s / 2, s * 0.46, 0, Math.PI * 2);
+        ctx.fill();
+        this.drawPiece(ctx, piece, x, y, 0.9);
+      }
     }
+  }
 
-    // Drop target
-    if (this._hoverSq && this._dragging) {
-      const B = this._sqToXY(this._hoverSq);
-      ctx.fillStyle = this.theme.moveTo;
-      ctx.fillRect(B.x, B.y, s, s);
+  // Disc in the square's top-right corner, scale (0..1] growing it in. glyph: text, on a disc of color (by
+  // default the glyph's own, see BADGE_COLORS), or an image drawn in the disc's bounds, over color if given.
+  drawBadge(ctx, square, glyph, color = BADGE_COLORS[glyph], scale = 1) {
+    const s = this.square;
+    const { x, y } = this.sqToXY(square);
+    const cx = x + s * 0.82,
+      cy = y + s * 0.18,
+      r = s * 0.16 * scale;
+    if (r <= 0) return;
+    ctx.save();
+    if (typeof glyph === "string" || color) {
+      ctx.fillStyle = color || this.theme.arrow;
+      ctx.beginPath();
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+      ctx.fill();
     }
+    if (typeof glyph === "string") {
+      ctx.fillStyle = "#FFFFFF";
+      ctx.font = `bold ${Math.floor((r * 2.2) / Math.max(2, glyph.length))}px ${this.theme.coordsFont}`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(glyph, cx, cy);
+    } else ctx.drawImage(glyph, cx - r, cy - r, r * 2, r * 2);
+    ctx.restore();
+  }
+
+  // Atomic capture: a blast over the 3x3 area, growing and fading out as t goes from 0 to 1
+  drawExplosion(ctx, square, t) {
+    const s = this.square;
+    const { x, y } = this.sqToXY(square);
+    ctx.save();
+    ctx.globalAlpha = 1 - t;
+    ctx.fillStyle = this.theme.explosion;
+    ctx.beginPath();
+    ctx.arc(x + s / 2, y + s / 2, s * lerp(0.3, 1.5, easeOutCubic(t)), 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
   }
 
-  _drawArrowBetweenPoints(ctx, fromX, fromY, toX, toY, color) {
+  // Arrow along a polyline [[x, y], ...], the head on the last point. weight (0..1] thins and fades
+  // secondary arrows, such as lower-ranked engine lines.
+  drawArrowPath(ctx, points, color, weight = 1) {
+    const [fromX, fromY] = points[points.length - 2];
+    const [toX, toY] = points[points.length - 1];
     const dx = toX - fromX,
       dy = toY - fromY;
     const len = Math.hypot(dx, dy);
     if (len < 1) return;
     const ux = dx / len,
       uy = dy / len;
-    const head = Math.min(16 * this.dpr, len * 0.25);
-    const thick = Math.max(6 * this.dpr, this.square * 0.08);
+    const head = Math.min(16 * this.pixelRatio, len * 0.25);
+    const thick = Math.max(6 * this.pixelRatio, this.square * 0.08) * weight;
     ctx.save();
     ctx.lineCap = "round";
     ctx.lineJoin = "round";
     ctx.strokeStyle = color;
     ctx.fillStyle = color;
-    ctx.globalAlpha = 0.95;
+    ctx.globalAlpha = 0.95 * (0.4 + 0.6 * weight);
     // shaft
     ctx.beginPath();
-    ctx.moveTo(fromX, fromY);
+    ctx.moveTo(...points[0]);
+    for (const p of points.slice(1, -1)) ctx.lineTo(...p);
     ctx.lineTo(toX - ux * head, toY - uy * head);
     ctx.lineWidth = thick;
     ctx.stroke();
@@ -972,268 +2075,2872 @@ export class Chessboard {
     ctx.restore();
   }
 
-  _drawArrow(from, to, color) {
+  drawArrowBetweenPoints(ctx, fromX, fromY, toX, toY, color, weight = 1) {
+    this.drawArrowPath(
+      ctx,
+      [
+        [fromX, fromY],
+        [toX, toY],
+      ],
+      color,
+      weight
+    );
+  }
+
+  // Square to square; knight jumps bend into an L, long leg first
+  drawArrow(ctx, from, to, color, weight = 1) {
     const s = this.square;
-    const A = this._sqToXY(from),
-      B = this._sqToXY(to);
-    const fromX = A.x + s / 2,
-      fromY = A.y + s / 2;
-    const toX = B.x + s / 2,
-      toY = B.y + s / 2;
-    this._drawArrowBetweenPoints(this.ctxO, fromX, fromY, toX, toY, color);
+    const A = this.sqToXY(from),
+      B = this.sqToXY(to);
+    const points = [
+      [A.x + s / 2, A.y + s / 2],
+      [B.x + s / 2, B.y + s / 2],
+    ];
+    const df = Math.round(Math.abs(B.x - A.x) / s),
+      dr = Math.round(Math.abs(B.y - A.y) / s);
+    if (df * dr === 2) points.splice(1, 0, dr > df ? [points[0][0], points[1][1]] : [points[1][0], points[0][1]]);
+    this.drawArrowPath(ctx, points, color, weight);
   }
+}
 
-  // ---------- Interaction ----------
-  _updateCursor(pt) {
-    if (this._dragging) {
-      this.cOverlay.style.cursor = "grabbing";
-      return;
-    }
+// Draws a position on a 2D context in one call, with no Chessboard and no DOM (Workers, node-canvas).
+// opts: the BoardRenderer options, size defaulting to the canvas width, plus marks: lastMove { from, to },
+// highlights [squares], arrows [{ from, to, color }], circles [{ square, color }]. Returns the renderer,
+// to draw more with.
+export function renderPosition(ctx, fen, opts = {}) {
+  const { lastMove, highlights, arrows, circles, ...options } = opts;
+  const renderer = new BoardRenderer({ size: ctx.canvas?.width ?? 480, ...options });
+  renderer.drawBoard(ctx);
+  renderer.drawPieces(ctx, parseFEN(fen).board);
+  renderer.drawOverlay(ctx, { lastMove, highlights, arrows, circles });
+  return renderer;
+}
 
-    if (!this.interactive || !pt || this._drawingState) {
-      this.cOverlay.style.cursor = "default";
-      return;
-    }
+// Minimal container styles, added by the first board of a document (importing the module has no effect)
+function injectStyles() {
+  if (document.getElementById("ncb-styles")) return;
+  const style = document.createElement("style");
+  style.id = "ncb-styles";
+  style.textContent = `
+  .ncb-root { display:block; max-width:100%; aspect-ratio:1/1; border-radius:14px; overflow:hidden; box-shadow: 0 10px 30px rgba(0,0,0,0.10); }
+  canvas { image-rendering: optimizeQuality; }
+  .ncb-evalrow { display:flex; align-items:flex-start; gap:8px; max-width:100%; }
+  .ncb-evalrow > .ncb-root { min-width:0; }
+  .ncb-evalbar { flex:none; border-radius:6px; }
+  `;
+  document.head.appendChild(style);
+}
 
-    const sq = this._xyToSquare(pt.x, pt.y);
-    const piece = this._pieceAt(sq);
-    const canMove = piece && (isWhitePiece(piece) ? "w" : "b") === this.state.turn;
-    this.cOverlay.style.cursor = canMove ? "grab" : "default";
+// ---------- Main Chessboard ----------
+export class Chessboard {
+  // Public overlay API
+  // weight (0..1] thins and fades the arrow; group tags it for clearArrows(group)
+  addArrow(from, to, color, { weight = 1, group = null } = {}) {
+    if (!this._arrows) this._arrows = [];
+    this._arrows.push({ from, to, color, weight, group });
+    this._drawOverlay();
+  }
+  // All arrows, or only those of a group
+  clearArrows(group) {
+    this._arrows = group === undefined ? [] : this._arrows.filter((a) => a.group !== group);
+    this._drawOverlay();
+  }
+  highlightSquares(squares, style = "fromTo") {
+    this._customHighlights = { squares, style };
+    this._drawOverlay();
+  }
+  clearHighlights() {
+    this._customHighlights = null;
+    this._drawOverlay();
   }
 
-  _attachEvents() {
-    this._onContextMenu = (e) => e.preventDefault();
-    this.cOverlay.addEventListener("contextmenu", this._onContextMenu);
-
-    this._onPointerDown = (e) => {
-      const pt = this._evtToBoard(e);
-      if (!pt) return;
+  static FEN = { start: START_FEN };
+  constructor(root, opts = {}) {
+    this.root = typeof root === "string" ? document.querySelector(root) : root;
+    if (!this.root) throw new Error("Root element not found");
+
+    // Options
+    this.size = opts.size || 480;
+    this.interactive = opts.interactive !== false; // default true
+    this.themeName = opts.theme || "midnight";
+    if (!THEMES[this.themeName]) {
+      console.warn(`[NCB] Unknown theme "${this.themeName}", using midnight.`);
+      this.themeName = "midnight";
+    }
+    // Drawing state (theme colours, orientation, square size, piece art) lives on the renderer
+    this.renderer = new BoardRenderer({
+      size: 1024, // until the first resize
+      theme: this.themeName,
+      orientation: opts.orientation || "white", // 'white' bottom or 'black'
+      showCoordinates: opts.showCoordinates ?? true,
+      sheet: true,
+    });
+    this.animationMs = opts.animationMs || 150;
+    this.playbackMs = opts.playbackMs || 1000;
+    this.playbackSpeed = opts.playbackSpeed || 1;
+    this.highlightLegal = opts.highlightLegal ?? true;
+    this.a11yGrid = !!opts.accessibleGrid;
+    this.moveInput = opts.moveInput || "both"; // 'drag' | 'click' | 'both'
+    this.inputColor = opts.inputColor || null; // 'w' | 'b': the user moves only that side's pieces
+    this.promotionMode = opts.promotion || "picker"; // 'picker' | 'auto' | (info) => piece | Promise<piece>
+    this.fenValidation = opts.fenValidation || "strict"; // 'strict' | 'lenient', see validateFEN()
+    this._usePieceSet(opts.pieceSet);
+
+    // Rules adapter
+    this.variant = opts.variant || "standard";
+    this._variantDef = VARIANTS[this.variant];
+    if (!this._variantDef) throw new Error(`Unknown variant "${this.variant}"`);
+    const { rules: VariantRules, startFEN, options } = this._variantDef;
+    if (opts.rulesAdapter) this.rules = opts.rulesAdapter;
+    else if (this.variant === "standard" && typeof window !== "undefined" && window.Chess) {
+      this.rules = new ChessJsRules(window.Chess);
+      this._usingChessJS = true;
+    } else {
+      // chess.js only knows standard chess: variants (960 castling included) bring their own rules
+      if (this.variant === "standard") console.warn("[NCB] chess.js not found. Using built-in light rules.");
+      this.rules = new VariantRules(startFEN, { ...options, castlingNotation: opts.castlingNotation });
+    }
+
+    // State
+    this.state = this._parseFEN(startFEN);
+    this.bus = new EventBus();
+    this._arrows = [];
+    this._badges = [];
+    this._customHighlights = null;
+    this._lastMove = null;
+    this._plies = []; // move history, see history()
+    this._ply = 0;
+    this._tags = {}; // PGN tag pairs
+    this._result = "*";
+    this._gameOver = null; // { reason, result } once the game has ended
+    this._ended = null; // set by endGame(), ends the last position of the history
+    this._puzzle = null; // { solution, index, color, mistakes, timer } in puzzle mode
+    this._premove = null;
+    this._dragging = null;
+    this._drawingState = null; // For right-click drawings
+    this._hoverSq = null;
+    this._selected = null;
+    this._legalCached = null;
+    this._promotion = null; // pending promotion choice
+    this._inputLocks = new Set(); // reasons input is off on top of `interactive`, see lockInput()
+    this._cursor = null; // keyboard cursor square
+    this._kbdCursor = false; // cursor shown only while the keyboard is in use
+    this.editMode = false; // see setEditMode()
+    this._spare = null; // editor palette piece placed by taps
+
+    // DOM & canvases
+    this._buildDOM();
+    this._attachEvents();
+    if (!this.setPosition(opts.fen || startFEN, { immediate: true })) {
+      console.warn("[NCB] Invalid FEN, using the start position.");
+      this.setPosition(startFEN, { immediate: true });
+    }
+    this.resize();
+    if (opts.editor) this.setEditMode(true);
+  }
+
+  get orientation() {
+    return this.renderer.orientation;
+  }
+  set orientation(o) {
+    this.renderer.orientation = o;
+  }
+  get theme() {
+    return this.renderer.theme;
+  }
+  set theme(colors) {
+    this.renderer.theme = colors;
+  }
+  get square() {
+    return this.renderer.square;
+  }
+  get sprites() {
+    return this.renderer.sprites;
+  }
+
+  // Adds a variant for the `variant` option: { rules, startFEN?, options?, pgnName?, trays? }.
+  // rules is a LightRules subclass (or any class with the same interface) built as new rules(fen, options).
+  static registerVariant(name, def) {
+    if (!name || typeof name !== "string") throw new Error("Variant name must be a string");
+    if (!def || typeof def.rules !== "function") throw new Error(`Variant "${name}" needs a rules class`);
+    VARIANTS[name] = { startFEN: START_FEN, ...def };
+  }
+
+  // Errors of a FEN for a variant, [] when it can be loaded. See LightRules.validateFEN for the checks.
+  static validateFEN(fen, { variant = "standard", strict = true } = {}) {
+    const def = VARIANTS[variant];
+    if (!def) throw new Error(`Unknown variant "${variant}"`);
+    const Rules = def.rules.validateFEN ? def.rules : LightRules;
+    return Rules.validateFEN(fen, { ...def.options, strict });
+  }
+
+  validateFEN(fen) {
+    return Chessboard.validateFEN(fen, { variant: this.variant, strict: this.fenValidation !== "lenient" });
+  }
+
+  // Adds a theme for the `theme` option: { extends?, ...colours }. Missing keys come from the base theme
+  // (classic by default); any value may be "var(--custom-property, fallback)".
+  static registerTheme(name, def) {
+    if (!name || typeof name !== "string") throw new Error("Theme name must be a string");
+    if (!def || typeof def !== "object") throw new Error(`Theme "${name}" must be an object`);
+    const { extends: base = "classic", ...colors } = def;
+    if (!THEMES[base]) throw new Error(`Theme "${name}" extends unknown theme "${base}"`);
+    for (const [key, value] of Object.entries(colors)) {
+      if (!THEME_KEYS.includes(key)) throw new Error(`Theme "${name}": unknown key "${key}"`);
+      if (typeof value !== "string" || !value.trim()) throw new Error(`Theme "${name}": "${key}" must be a string`);
+    }
+    THEMES[name] = { ...THEMES[base], ...colors };
+  }
+
+  // FEN <-> board state through the rules, so variant fields (pockets, check counters) survive
+  _parseFEN(fen) {
+    return this.rules?.parseFEN ? this.rules.parseFEN(fen) : parseFEN(fen);
+  }
+
+  _toFEN(state) {
+    return this.rules?.toFEN ? this.rules.toFEN(state) : boardToFEN(state);
+  }
+
+  on(type, fn) {
+    return this.bus.on(type, fn);
+  }
+
+  // Turns user input off until every reason is unlocked, whatever `interactive` says. Playback, a fallen
+  // flag and a spectating GameSync each hold their own reason, so releasing one leaves the others.
+  lockInput(reason) {
+    this._inputLocks.add(reason);
+    this._dragging = null;
+    this._clearSelection();
+    this.renderAll();
+  }
+
+  unlockInput(reason) {
+    return this._inputLocks.delete(reason);
+  }
+
+  destroy() {
+    this._resolvePromotion(null);
+    cancelAnimationFrame(this._badgeRaf || 0);
+    clearTimeout(this._puzzle?.timer);
+    clearTimeout(this._playTimer);
+    this._removeEvents();
+    for (const tray of this._trays || []) tray.remove();
+    this.root.innerHTML = "";
+    for (const attr of ["tabindex", "role", "aria-roledescription", "aria-label"]) this.root.removeAttribute(attr);
+  }
+
+  setTheme(name) {
+    if (!THEMES[name]) {
+      console.warn(`[NCB] Unknown theme "${name}".`);
+      return false;
+    }
+    this.themeName = name;
+    this.theme = this._resolveTheme();
+    this._watchTheme();
+    this._rasterize();
+    this.renderAll();
+    this.bus.emit("theme", { name, theme: this.theme });
+    return true;
+  }
+
+  // Re-reads custom properties, redrawing only when a colour changed. Automatic for class, style and
+  // colour-scheme changes; call it after swapping a stylesheet.
+  refreshTheme() {
+    const theme = this._resolveTheme();
+    if (THEME_KEYS.every((k) => theme[k] === this.theme[k])) return false;
+    this.theme = theme;
+    this._rasterize();
+    this.renderAll();
+    this.bus.emit("theme", { name: this.themeName, theme });
+    return true;
+  }
+
+  _resolveTheme() {
+    return themeColors(this.themeName, typeof getComputedStyle === "function" ? getComputedStyle(this.root) : null);
+  }
+
+  // var() themes follow their variables: class, style and data-theme changes on the board or an ancestor
+  // (a dark class on <html>, inline style) and prefers-color-scheme media queries. refreshTheme() only
+  // redraws when the resolved colours differ, so hover classes and animated styles cost a style lookup.
+  _watchTheme() {
+    this._unwatchTheme();
+    if (!Object.values(THEMES[this.themeName]).some((v) => v.includes("var("))) return;
+    const refresh = () => this.refreshTheme();
+    if (typeof MutationObserver !== "undefined") {
+      this._themeObserver = new MutationObserver(refresh);
+      for (let el = this.root; el; el = el.parentElement)
+        this._themeObserver.observe(el, { attributeFilter: THEME_ATTRIBUTES });
+    }
+    this._themeMedia = typeof window !== "undefined" ? window.matchMedia?.("(prefers-color-scheme: dark)") : null;
+    this._themeMedia?.addEventListener?.("change", refresh);
+    this._onThemeMedia = refresh;
+  }
+
+  _unwatchTheme() {
+    this._themeObserver?.disconnect();
+    this._themeMedia?.removeEventListener?.("change", this._onThemeMedia);
+    this._themeObserver = this._themeMedia = null;
+  }
+
+  // Piece letters -> SVG markup or image URLs, a renderer { draw(ctx, piece, x, y, size) }, or null for the flat set
+  setPieceSet(set) {
+    this._usePieceSet(set);
+    this._rasterize();
+    this.renderAll();
+  }
+
+  _usePieceSet(set) {
+    if (!set) this._pieceSet = null;
+    else if (typeof set.draw === "function") this._pieceSet = set;
+    else {
+      const pieces = imagePieceSet(set, () => {
+        if (this._pieceSet !== pieces) return;
+        this._rasterize();
+        this.renderAll();
+      });
+      this._pieceSet = pieces;
+    }
+  }
+
+  setOrientation(o) {
+    this.orientation = o === "black" ? "black" : "white";
+    this.renderAll();
+    this.bus.emit("orientation", { orientation: this.orientation });
+  }
+
+  flip() {
+    this.setOrientation(this.orientation === "white" ? "black" : "white");
+  }
+
+  getPosition() {
+    return this._toFEN(this.state);
+  }
+
+  // ---------- Export ----------
+  // The board as shown, layers composited into one PNG; size in pixels (default: the canvas resolution)
+  toPNG({ size = this.cBoard.width, includeOverlay = true } = {}) {
+    const out = document.createElement("canvas");
+    out.width = out.height = Math.round(size);
+    const ctx = out.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+    for (const layer of includeOverlay ? [this.cBoard, this.cPieces, this.cOverlay] : [this.cBoard, this.cPieces])
+      ctx.drawImage(layer, 0, 0, out.width, out.height);
+    return new Promise((resolve, reject) =>
+      out.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG export failed"))), "image/png")
+    );
+  }
+
+  // Vector diagram: squares, coordinates, pieces and, with includeOverlay, the last move, highlights and
+  // arrows. The renderer draws it in canvas units; size sets the width and height attributes.
+  toSVG({ size = this.sizePx, includeOverlay = true } = {}) {
+    const layers = [new SVGContext()];
+    this.renderer.drawBoard(layers[0]);
+    for (let r = 0; r < 8; r++)
+      for (let f = 0; f < 8; f++) {
+        const p = this.state.board[r][f];
+        if (!p) continue;
+        // One group per piece, as vectors: an erase stays inside it, as on its sprite cell
+        const cell = new SVGContext();
+        const { x, y } = this.renderer.sqToXY(sq(f, r));
+        this.sprites._drawCell(cell, x, y, this.square, p);
+        layers.push(cell);
+      }
+    if (includeOverlay) {
+      layers.push(new SVGContext());
+      this.renderer.drawOverlay(layers.at(-1), {
+        lastMove: this._lastMove,
+        highlights: this._customHighlights?.squares,
+        ...this._annotationMarks(),
+        badges: this._badges.filter((b) => b.shown !== null),
+      });
+    }
+    const edge = num(this.renderer.size);
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${num(size)}" height="${num(size)}" viewBox="0 0 ${edge} ${edge}">` +
+      layers.map((layer) => layer.toString()).join("") +
+      "</svg>"
+    );
+  }
+
+  // Programmatic move with animation
+  move(from, to, promotion = "q") {
+    if (this._gameOver || this.editMode) {
+      this.bus.emit("illegal", { from, to, reason: this.editMode ? "editing" : "gameover" });
+      return false;
+    }
+    const res = this.rules.move({ from, to, promotion });
+    if (res && res.ok) {
+      this._commitMove(from, to, res);
+      return true;
+    } else {
+      this.bus.emit("illegal", { from, to, reason: res?.reason || "illegal" });
+      return false;
+    }
+  }
+
+  // Shared tail of every accepted move (API or pointer): state, history, animation, event
+  _commitMove(from, to, res) {
+    this._resolvePromotion(null);
+    this._clearSelection();
+    const oldState = JSON.parse(JSON.stringify(this.state));
+    const prevBoard = oldState.board;
+    const newFen = this._usingChessJS ? this.rules.getFEN() : res.fen;
+    const newState = this._parseFEN(newFen);
+    const piece = this._pieceAt(from);
+    const promoted = piece && piece.toLowerCase() === "p" && (to[1] === "8" || to[1] === "1");
+    this._lastMove = { from, to };
+    this.state = newState; // Update state immediately
+    this.rules.setFEN(newFen);
+    // Playing from the middle of the history drops the old continuation
+    this._plies.length = this._ply + 1;
+    const entry = { fen: newFen, move: { from, to } };
+    if (promoted) entry.move.promotion = newState.board[sqToFR(to).r][sqToFR(to).f].toLowerCase();
+    if (res.move?.san) entry.move.san = res.move.san;
+    this._plies.push(entry);
+    this._ply++;
+    this._result = "*";
+    this._ended = null;
+    this._gameOver = this._detectGameOver();
+    if (this._gameOver) this._result = this._gameOver.result;
+    this._announce(
+      this._describeMove(from, to, prevBoard) + (this._gameOver ? `. Game over, ${this._gameOver.result}` : "")
+    );
+    this._animateTo(newState, oldState, { explosion: res.move?.explosion });
+    this.bus.emit("move", { from, to, fen: newFen });
+    if (this._gameOver) this.bus.emit("gameover", { ...this._gameOver, fen: newFen });
+    if (this._puzzle) this._puzzleMove(toUCI(entry.move), oldState.turn);
+  }
+
+  // Null while the game is running, else { reason, result }
+  gameOver() {
+    return this._gameOver ? { ...this._gameOver } : null;
+  }
+
+  // Ends the game on what the rules cannot see (resignation, agreed draw, time): the last position of the
+  // history takes no more moves until a new one is set or loaded
+  endGame({ reason, result }) {
+    this._ended = { reason, result };
+    this._result = result;
+    const fen = this._plies[this._plies.length - 1].fen;
+    if (this._ply === this._plies.length - 1) {
+      this._gameOver = this._ended;
+      this._clearSelection();
+      this._premove = null;
+      this._drawOverlay();
+    }
+    this.bus.emit("gameover", { reason, result, fen });
+  }
+
+  _detectGameOver() {
+    const fen = this._plies[this._ply].fen;
+    if (this._ended && this._ply === this._plies.length - 1) return this._ended;
+    const draw = (reason) => ({ reason, result: "1/2-1/2" });
+    // Variant wins (king on the hill, third check, exploded king) come first
+    const outcome = this.rules.outcome?.();
+    if (outcome) return outcome;
+    if (this.rules.isCheckmate?.()) return { reason: "checkmate", result: this.state.turn === "w" ? "0-1" : "1-0" };
+    if (this.rules.isStalemate?.()) return draw("stalemate");
+    const insufficient = this.rules.insufficientMaterial
+      ? this.rules.insufficientMaterial()
+      : insufficientMaterial(this.state.board);
+    if (insufficient) return draw("insufficientMaterial");
+    const key = positionKey(fen, this.rules);
+    let seen = 0;
+    for (let i = 0; i <= this._ply; i++) if (positionKey(this._plies[i].fen, this.rules) === key) seen++;
+    if (seen >= 3) return draw("threefoldRepetition");
+    if ((this.state.halfmove || 0) >= 100) return draw("fiftyMoveRule");
+    return null;
+  }
+
+  // ---------- History ----------
+  // _plies[0] is the root position (from setPosition), _plies[n] the position after the n-th move.
+  history() {
+    return this._plies.slice(1).map(({ fen, move }) => ({ ...move, fen }));
+  }
+
+  currentPly() {
+    return this._ply;
+  }
+
+  undo() {
+    return this.goToPly(this._ply - 1);
+  }
+
+  redo() {
+    return this.goToPly(this._ply + 1);
+  }
+
+  goToStart() {
+    return this.goToPly(0);
+  }
+
+  goToEnd() {
+    return this.goToPly(this._plies.length - 1);
+  }
+
+  // Undoes the move that led to the shown position and drops it, with anything after it, from the history
+  takeBack() {
+    if (!this.goToPly(this._ply - 1)) return false;
+    this._plies.length = this._ply + 1;
+    // The dropped moves take their ending with them
+    this._ended = null;
+    this._result = this._gameOver?.result ?? "*";
+    return true;
+  }
+
+  goToPly(n) {
+    const ply = clamp(n | 0, 0, this._plies.length - 1);
+    if (ply === this._ply) return false;
+    this._resolvePromotion(null);
+    const oldState = JSON.parse(JSON.stringify(this.state));
+    const { fen, move } = this._plies[ply];
+    this._ply = ply;
+    this.rules.setFEN(fen);
+    this.state = this._parseFEN(fen);
+    this._lastMove = move ? { from: move.from, to: move.to } : null;
+    this._premove = null;
+    this._dragging = null;
+    this._hoverSq = null;
+    this._selected = null;
+    this._legalCached = null;
+    this._gameOver = this._detectGameOver();
+    this._animateTo(this.state, oldState);
+    this.bus.emit("navigate", { ply, fen, move: move ? { ...move } : null });
+    return true;
+  }
+
+  // ---------- Playback ----------
+  // Steps through the history on a timer (playbackMs per move, divided by the speed). User input is locked
+  // while playing and released on pause; "playback" reports progress for scrubbers.
+  get playing() {
+    return !!this._playTimer;
+  }
+
+  play() {
+    if (this._playTimer) return false;
+    if (this._ply >= this._plies.length - 1 && !this.goToStart()) return false; // a finished line restarts
+    this.lockInput("playback");
+    this._schedulePlayback();
+    this._emitPlayback();
+    return true;
+  }
+
+  pause() {
+    if (!this._playTimer) return false;
+    clearTimeout(this._playTimer);
+    this._playTimer = 0;
+    this.unlockInput("playback");
+    this._emitPlayback();
+    return true;
+  }
+
+  // Pauses, then moves by `delta` plies
+  step(delta = 1) {
+    this.pause();
+    const moved = this.goToPly(this._ply + delta);
+    if (moved) this._emitPlayback();
+    return moved;
+  }
+
+  // Goes to a ply without changing whether playback runs; the next move waits a full interval
+  seek(ply) {
+    const moved = this.goToPly(ply);
+    if (!moved) return false;
+    if (this._playTimer) {
+      clearTimeout(this._playTimer);
+      this._schedulePlayback();
+    }
+    this._emitPlayback();
+    return true;
+  }
+
+  // Applies at once: a running playback restarts its wait for the next move at the new pace
+  setPlaybackSpeed(speed) {
+    if (!(speed > 0)) throw new Error(`Invalid playback speed ${speed}`);
+    this.playbackSpeed = speed;
+    if (this._playTimer) {
+      clearTimeout(this._playTimer);
+      this._schedulePlayback();
+    }
+    this._emitPlayback();
+  }
+
+  _schedulePlayback() {
+    this._playTimer = setTimeout(() => {
+      this.goToPly(this._ply + 1);
+      if (this._ply < this._plies.length - 1) this._schedulePlayback();
+      else {
+        this._playTimer = 0;
+        this.unlockInput("playback");
+      }
+      this._emitPlayback();
+    }, this.playbackMs / this.playbackSpeed);
+  }
+
+  _emitPlayback() {
+    const total = this._plies.length - 1;
+    this.bus.emit("playback", { ply: this._ply, total, playing: this.playing, speed: this.playbackSpeed });
+  }
+
+  _checkAndPlayPremove() {
+    if (!this._premove) return;
+    const { from, to } = this._premove;
+    const piece = this._pieceAt(from);
+    if (!piece) {
+      this._premove = null;
+      this.renderAll(); // Redraw to clear premove highlight
+      return;
+    }
+    const side = isWhitePiece(piece) ? "w" : "b";
+    if (side === this.state.turn) {
+      const premoveToPlay = this._premove;
+      this._premove = null; // Clear before moving to avoid loops
+      if (!this.move(premoveToPlay.from, premoveToPlay.to)) {
+        // Premove was illegal (e.g. king is in check). Clear and redraw.
+        this.renderAll();
+      }
+    }
+  }
+
+  // ---------- PGN ----------
+  // Replaces the position and history with the main line of a PGN game.
+  // Returns false (board untouched) if a move cannot be played.
+  loadPGN(text) {
+    this._resolvePromotion(null);
+    const pgn = parsePGN(text);
+    const currentFen = this.rules.getFEN();
+    const startFen = pgn.tags.FEN || this._variantDef.startFEN;
+    if (this.validateFEN(startFen).length || this.rules.setFEN(startFen) === false) {
+      this.rules.setFEN(currentFen);
+      return false;
+    }
+    const root = parseShapes(pgn.comment);
+    const plies = [{ fen: this.rules.getFEN(), move: null, comment: root.text, shapes: root.shapes }];
+    for (const m of pgn.moves) {
+      const mv = this.rules.fromSAN(m.san);
+      const res = mv && this.rules.move(mv);
+      if (!res?.ok) {
+        this.rules.setFEN(currentFen);
+        return false;
+      }
+      const fen = this._usingChessJS ? this.rules.getFEN() : res.fen;
+      this.rules.setFEN(fen);
+      const move = { ...mv, san: res.move?.san || m.san };
+      const { text, shapes } = parseShapes(m.comment);
+      if (text) move.comment = text;
+      if (m.nags.length) move.nags = m.nags;
+      plies.push({ fen, move, shapes });
+    }
+    this._plies = plies;
+    this._ply = plies.length - 1;
+    this._tags = pgn.tags;
+    this._result = pgn.result;
+    this._ended = null;
+    this.stopPuzzle();
+    this.pause();
+    const { fen, move } = plies[this._ply];
+    this.state = this._parseFEN(fen);
+    this._lastMove = move ? { from: move.from, to: move.to } : null;
+    this._premove = null;
+    this._selected = null;
+    this._legalCached = null;
+    this._gameOver = this._detectGameOver();
+    if (this._gameOver && this._result === "*") this._result = this._gameOver.result;
+    this._clearAnim();
+    this.renderAll();
+    this.bus.emit("update", { fen: this.getPosition() });
+    if (this._gameOver) this.bus.emit("gameover", { ...this._gameOver, fen });
+    return true;
+  }
+
+  toPGN() {
+    return writePGN({
+      tags: this._tags,
+      startFen: this._plies[0].fen,
+      comment: shapesComment(this._plies[0].shapes, this._plies[0].comment),
+      moves: this._plies.slice(1).map((p) => ({ ...p.move, comment: shapesComment(p.shapes, p.move.comment) })),
+      result: this._result,
+      start: this._parseFEN(this._plies[0].fen),
+      variant: this._variantDef.pgnName,
+      defaultFen: this._variantDef.startFEN,
+    });
+  }
+
+  // Returns false, with an `error` event, when the FEN is invalid or refused by the rules; the board is unchanged
+  setPosition(fen, { immediate = false } = {}) {
+    const errors = this.validateFEN(fen);
+    // Lenient FENs get their missing fields filled in before reaching the rules
+    const full = errors.length ? null : this._toFEN(this._parseFEN(fen));
+    const previous = this.rules.getFEN();
+    if (!errors.length && this.rules.setFEN(full) === false) {
+      this.rules.setFEN(previous);
+      errors.push({ field: "fen", code: "rejected", message: "The rules engine refused this position" });
+    }
+    if (errors.length) {
+      this.bus.emit("error", { fen, errors });
+      return false;
+    }
+    this._resolvePromotion(null);
+    const oldState = JSON.parse(JSON.stringify(this.state));
+    this.state = this._parseFEN(this.rules.getFEN());
+    this._lastMove = null;
+    this._premove = null;
+    this._plies = [{ fen: this.getPosition(), move: null }];
+    this._ply = 0;
+    this._tags = {};
+    this._result = "*";
+    this._ended = null;
+    this.stopPuzzle();
+    this.pause();
+    this._gameOver = this._detectGameOver();
+
+    if (immediate) {
+      this._clearAnim();
+      this.renderAll();
+    } else {
+      // Animate from old to new.
+      this._animateTo(this.state, oldState);
+    }
+    this.bus.emit("update", { fen: this.getPosition() });
+    return true;
+  }
+
+  // ---------- Annotations ----------
+  // Arrows and circled squares drawn with the right button belong to the position on screen (its history
+  // ply): they come back when navigating to it, and travel in PGN comments as [%cal]/[%csl]. Colours are
+  // the letters G, R, Y, B.
+  annotations() {
+    const { arrows = [], circles = [] } = this._plies[this._ply]?.shapes || {};
+    return { arrows: arrows.map((a) => ({ ...a })), circles: circles.map((c) => ({ ...c })) };
+  }
+
+  setAnnotations({ arrows = [], circles = [] } = {}) {
+    const ply = this._plies[this._ply];
+    if (!ply) return;
+    ply.shapes =
+      arrows.length || circles.length
+        ? {
+            arrows: arrows.map(({ from, to, color = "G" }) => ({ from, to, color })),
+            circles: circles.map(({ square, color = "G" }) => ({ square, color })),
+          }
+        : null;
+    this._drawOverlay();
+    this.bus.emit("annotations", { ply: this._ply, ...this.annotations() });
+  }
+
+  clearAnnotations() {
+    this.setAnnotations();
+  }
+
+  // Same shape and colour removes it, another colour repaints it
+  _toggleAnnotation(from, to, color) {
+    const { arrows, circles } = this.annotations();
+    const list = from === to ? circles : arrows;
+    const i = list.findIndex((a) => (from === to ? a.square === from : a.from === from && a.to === to));
+    if (i < 0) list.push(from === to ? { square: from, color } : { from, to, color });
+    else if (list[i].color === color) list.splice(i, 1);
+    else list[i].color = color;
+    this.setAnnotations({ arrows, circles });
+  }
+
+  // ---------- Puzzles ----------
+  // Tactics training: the solver plays the side to move of fen (shown at the bottom), solution is the
+  // expected line in UCI, solver's moves first. A right move is answered with the next one once it has
+  // landed, a wrong one is taken back; any mate counts as right. Events: puzzle:correct, puzzle:wrong,
+  // puzzle:solved. Returns false, with an "error" event, for an invalid fen.
+  loadPuzzle({ fen, solution }) {
+    if (!this.setPosition(fen, { immediate: true })) return false;
+    const color = this.state.turn;
+    this._puzzle = { solution: [...solution], index: 0, color, mistakes: 0, timer: 0 };
+    this.setOrientation(color === "w" ? "white" : "black");
+    return true;
+  }
+
+  // Arrow on the expected move, until the next move
+  puzzleHint(color) {
+    const p = this._puzzle;
+    if (!p || p.index >= p.solution.length || this.state.turn !== p.color) return false;
+    const { from, to } = fromUCI(p.solution[p.index]);
+    this.clearArrows("puzzle");
+    this.addArrow(from, to, color, { group: "puzzle" });
+    return true;
+  }
+
+  // Leaves puzzle mode, keeping the position
+  stopPuzzle() {
+    if (!this._puzzle) return;
+    clearTimeout(this._puzzle.timer);
+    this.unlockInput("puzzle");
+    this._puzzle = null;
+    this.clearArrows("puzzle");
+  }
+
+  // Replies are the puzzle's own moves, checked against nothing. Input stays locked while a reply or a
+  // take-back waits, so the solver cannot play on in between.
+  _puzzleMove(uci, mover) {
+    const p = this._puzzle;
+    if (mover !== p.color || p.index >= p.solution.length) return;
+    this.clearArrows("puzzle");
+    const expected = p.solution[p.index];
+    const mate = this._gameOver?.reason === "checkmate";
+    if (uci !== expected && !mate) {
+      p.mistakes++;
+      this.bus.emit("puzzle:wrong", { move: uci, expected });
+      this._puzzleLater(() => this.takeBack()); // no redo into the wrong move
+      return;
+    }
+    p.index = mate ? p.solution.length : p.index + 1;
+    this.bus.emit("puzzle:correct", { move: uci, expected });
+    if (p.index >= p.solution.length) {
+      this.bus.emit("puzzle:solved", { mistakes: p.mistakes });
+      return;
+    }
+    this._puzzleLater(() => {
+      const { from, to, promotion } = fromUCI(p.solution[p.index]);
+      if (!this.move(from, to, promotion)) {
+        console.warn(`[NCB] Puzzle reply ${p.solution[p.index]} is illegal here, leaving the puzzle.`);
+        this.stopPuzzle();
+        return;
+      }
+      if (++p.index >= p.solution.length) this.bus.emit("puzzle:solved", { mistakes: p.mistakes });
+    });
+  }
+
+  _puzzleLater(fn) {
+    this.lockInput("puzzle");
+    this._puzzle.timer = setTimeout(() => {
+      this.unlockInput("puzzle");
+      fn();
+    }, this.animationMs);
+  }
+
+  // ---------- Badges ----------
+  // Move-quality glyph on a square, for game review: "!!", "!", "!?", "?!", "?", "??" come in their
+  // colours; any other text, or an image as a custom icon, takes color. One badge per square, kept until
+  // clearBadges(). A badge added while pieces move pops in once they land.
+  addBadge(square, glyph, { color } = {}) {
+    this._badges = this._badges.filter((b) => b.square !== square);
+    this._badges.push({ square, glyph, color, shown: null });
+    if (!this._raf) this._revealBadges();
+  }
+  clearBadges() {
+    cancelAnimationFrame(this._badgeRaf || 0);
+    this._badgeRaf = 0;
+    this._badges = [];
+    this._drawOverlay();
+  }
+
+  // Starts the pop-in of waiting badges, redrawing the overlay until they are full size
+  _revealBadges() {
+    const waiting = this._badges.filter((b) => b.shown === null);
+    if (!waiting.length) return;
+    for (const b of waiting) b.shown = now();
+    cancelAnimationFrame(this._badgeRaf || 0);
+    const tick = () => {
+      this._drawOverlay();
+      const growing = this._badgeMarks().some((b) => b.scale < 1);
+      this._badgeRaf = growing ? requestAnimationFrame(tick) : 0;
+    };
+    this._badgeRaf = requestAnimationFrame(tick);
+  }
+
+  // Shown badges as renderer marks, scaled by their pop-in
+  _badgeMarks() {
+    return this._badges
+      .filter((b) => b.shown !== null)
+      .map(({ square, glyph, color, shown }) => {
+        const t = this.animationMs ? clamp((now() - shown) / this.animationMs, 0, 1) : 1;
+        return { square, glyph, color, scale: easeOutCubic(t) };
+      });
+  }
+
+  // API arrows (addArrow, engines) under the position's annotations
+  _annotationMarks() {
+    const { arrows, circles } = this.annotations();
+    return { arrows: [...this._arrows, ...arrows], circles };
+  }
+
+  // ---------- DOM ----------
+  _buildDOM() {
+    injectStyles();
+    this.root.classList.add("ncb-root");
+    this.theme = this._resolveTheme(); // once .ncb-root applies, for variables set on that class
+    this.root.style.position = "relative";
+    this.root.style.userSelect = "none";
+    this.root.style.width = this.size + "px";
+    this.root.style.height = this.size + "px";
+
+    // Layers: board, pieces, overlay
+    this.cBoard = document.createElement("canvas");
+    this.cPieces = document.createElement("canvas");
+    this.cOverlay = document.createElement("canvas");
+    for (const c of [this.cBoard, this.cPieces, this.cOverlay]) {
+      c.style.position = "absolute";
+      c.style.left = "0";
+      c.style.top = "0";
+      c.style.width = "100%";
+      c.style.height = "100%";
+      this.root.appendChild(c);
+    }
+
+    // Accessibility: focusable board, live region for announcements, optional hidden grid
+    this.root.tabIndex = 0;
+    this.root.setAttribute("role", "application");
+    this.root.setAttribute("aria-roledescription", "chessboard");
+    this.root.setAttribute(
+      "aria-label",
+      "Chessboard. Arrow keys move the cursor, Enter or Space selects and moves, Escape cancels."
+    );
+    this._live = document.createElement("div");
+    this._live.setAttribute("aria-live", "polite");
+    this._live.setAttribute("aria-atomic", "true");
+    Object.assign(this._live.style, VISUALLY_HIDDEN);
+    this.root.appendChild(this._live);
+    if (this.a11yGrid) {
+      this._grid = document.createElement("table");
+      this._grid.setAttribute("aria-label", "Board position");
+      Object.assign(this._grid.style, VISUALLY_HIDDEN);
+      this.root.appendChild(this._grid);
+    }
+
+    this._setTrays(!!this._variantDef.trays);
+
+    this.ctxB = this.cBoard.getContext("2d");
+    this.ctxP = this.cPieces.getContext("2d");
+    this.ctxO = this.cOverlay.getContext("2d");
+
+    // Sprites
+    this._rasterize();
+
+    // Resize observer for responsive containers
+    this._ro = new ResizeObserver(() => this.resize());
+    this._ro.observe(this.root);
+  }
+
+  resize() {
+    const rect = this.root.getBoundingClientRect();
+    const sz = Math.min(rect.width, rect.height);
+    const dpr = window.devicePixelRatio || 1;
+    for (const c of [this.cBoard, this.cPieces, this.cOverlay]) {
+      c.width = Math.round(sz * dpr);
+      c.height = Math.round(sz * dpr);
+    }
+    this.sizePx = sz;
+    this.dpr = dpr;
+    this.renderer.size = sz * dpr;
+    this.renderer.pixelRatio = dpr;
+    this._rasterize();
+    this._sizeTrays();
+    this.renderAll();
+  }
+
+  // Canvases above and below the board: variant pockets and check counters, or the editor palettes
+  _setTrays(on) {
+    if (on === !!this._trays) return;
+    if (!on) {
+      for (const tray of this._trays) tray.remove();
+      this._trays = null;
+      return;
+    }
+    this._trays = [document.createElement("canvas"), document.createElement("canvas")];
+    for (const tray of this._trays) {
+      tray.className = "ncb-tray";
+      tray.style.display = "block";
+      tray.setAttribute("role", "img");
+      tray.addEventListener("pointerdown", (e) => this._onTrayPointerDown(e));
+    }
+    // Around the board, or around the row an EvalBar shares with it
+    const frame = this.root.parentElement?.classList.contains("ncb-evalrow") ? this.root.parentElement : this.root;
+    frame.before(this._trays[0]);
+    frame.after(this._trays[1]);
+    this._sizeTrays();
+  }
+
+  _sizeTrays() {
+    if (!this.sizePx) return;
+    for (const tray of this._trays || []) {
+      tray.width = Math.round(this.sizePx * this.dpr);
+      tray.height = Math.round(this.square);
+      tray.style.width = this.sizePx + "px";
+      tray.style.height = this.sizePx / 8 + "px";
+    }
+  }
+
+  _rasterize() {
+    this.renderer.pieceSet = this._pieceSet;
+    this.renderer.rasterize();
+  }
+
+  // ---------- Editor ----------
+  // Free placement: palettes above and below the board, pieces dragged in, around and off (deleted).
+  // Rules are bypassed while editing; leaving the editor loads the position like setPosition().
+  // Returns false when leaving is refused: an invalid position stays in the editor (see the `error` event)
+  setEditMode(on) {
+    on = !!on;
+    if (on === this.editMode) return true;
+    if (!on) {
+      const fen = this.getPosition();
+      this.editMode = false;
+      if (!this.setPosition(fen, { immediate: true })) {
+        this.editMode = true;
+        return false;
+      }
+    }
+    this._resolvePromotion(null);
+    this._clearAnim();
+    this._clearSelection();
+    this._premove = null;
+    this._dragging = null;
+    this._hoverSq = null;
+    this._spare = null;
+    this.editMode = on;
+    this._setTrays(on || !!this._variantDef.trays);
+    this._lastMove = null;
+    this.renderAll();
+    return true;
+  }
+
+  // The setters below only work in the editor and return false otherwise
+  setTurn(color) {
+    if (!this.editMode || (color !== "w" && color !== "b")) return false;
+    this.state.turn = color;
+    return this._editChanged();
+  }
+
+  // Any of "KQkq"; rights the placement does not allow are dropped (see castlingOptions)
+  setCastling(rights) {
+    if (!this.editMode) return false;
+    this.state.castling = rights || "-";
+    return this._editChanged();
+  }
+
+  setEnPassant(square) {
+    if (!this.editMode || (square && square !== "-" && !this.enPassantOptions().includes(square))) return false;
+    this.state.ep = square || "-";
+    return this._editChanged();
+  }
+
+  clearBoard() {
+    if (!this.editMode) return false;
+    this.state.board = this.state.board.map((row) => row.map(() => null));
+    return this._editChanged();
+  }
+
+  startPosition() {
+    if (!this.editMode) return false;
+    this.state = this._parseFEN(this._variantDef.startFEN);
+    return this._editChanged();
+  }
+
+  // Castling rights the placement allows: king and rook at home (e-file king and corner rook unless 960)
+  castlingOptions() {
+    return [..."KQkq"].filter((c) => castlingAllowed(this.state.board, c, this.variant === "chess960"));
+  }
+
+  // En passant squares the placement allows for the side to move
+  enPassantOptions() {
+    return enPassantSquares(this.state.board, this.state.turn);
+  }
+
+  // Keeps castling and en passant consistent with the board, then redraws and reports the new FEN
+  _editChanged() {
+    const allowed = this.castlingOptions();
+    const rights = [...(this.state.castling || "").replace(/-/g, "")].map((c) => {
+      if ("KQkq".includes(c)) return c;
+      // Shredder-FEN rook file (960): side of the king it stands on
+      const white = c === c.toUpperCase();
+      const kf = this.state.board[white ? 0 : 7].indexOf(white ? "K" : "k");
+      const side = FILES.indexOf(c.toLowerCase()) > kf ? "k" : "q";
+      return white ? side.toUpperCase() : side;
+    });
+    this.state.castling = [...new Set(rights)].filter((c) => allowed.includes(c)).join("") || "-";
+    if (!this.enPassantOptions().includes(this.state.ep)) this.state.ep = "-";
+    this.renderAll();
+    this.bus.emit("positionchange", { fen: this.getPosition() });
+    return true;
+  }
+
+  // Tap with a palette piece selected: place it, or remove the same piece
+  _editTap(square) {
+    const { f, r } = sqToFR(square);
+    this.state.board[r][f] = this.state.board[r][f] === this._spare ? null : this._spare;
+    this._editChanged();
+  }
+
+  _editPointerDown(pt) {
+    const square = this._xyToSquare(pt.x, pt.y);
+    if (this._spare) {
+      this._editTap(square);
+      return;
+    }
+    const piece = this._pieceAt(square);
+    if (!piece) return;
+    this._dragging = { from: square, piece, x: pt.x, y: pt.y };
+    this._hoverSq = square;
+    this.renderAll();
+  }
+
+  _editSparePointerDown(e, tray, cell) {
+    const type = SPARE_PIECES[cell];
+    if (!type) return;
+    const pt = this._evtToBoard(e, true);
+    const piece = this._trayColor(tray) === "w" ? type.toUpperCase() : type;
+    this._dragging = { from: null, piece, x: pt.x, y: pt.y };
+    this._hoverSq = null;
+    this.renderAll();
+  }
+
+  // End of an editor drag: from a square or a palette (from null), to a square or off the board (to null)
+  _editDrop(pt) {
+    const { from, piece } = this._dragging;
+    const to = pt ? this._xyToSquare(pt.x, pt.y) : null;
+    this._dragging = null;
+    this._hoverSq = null;
+    this._updateCursor(pt);
+    if (!from && !to) {
+      // Palette click: select the piece for placing by taps, or unselect it
+      this._spare = this._spare === piece ? null : piece;
+      this.renderAll();
+      return;
+    }
+    if (from === to) {
+      this.renderAll();
+      return;
+    }
+    if (from) this.state.board[sqToFR(from).r][sqToFR(from).f] = null;
+    if (to) this.state.board[sqToFR(to).r][sqToFR(to).f] = piece;
+    this._editChanged();
+  }
+
+  // ---------- Rendering ----------
+  renderAll() {
+    this._drawBoard();
+    this._drawPieces();
+    this._drawOverlay();
+    if (!this._raf) this._revealBadges();
+    this._drawTrays();
+    this._updateA11yGrid();
+  }
+
+  _drawBoard() {
+    this.ctxB.clearRect(0, 0, this.cBoard.width, this.cBoard.height);
+    this.renderer.drawBoard(this.ctxB);
+  }
+
+  _drawPieces() {
+    const ctx = this.ctxP;
+    ctx.clearRect(0, 0, this.cPieces.width, this.cPieces.height);
+    // All but the dragged piece, then the dragged one on top
+    this.renderer.drawPieces(ctx, this.state.board, this._dragging?.from);
+    if (this._dragging) {
+      const { piece, x, y } = this._dragging;
+      this.renderer.drawPiece(ctx, piece, x - this.square / 2, y - this.square / 2, 1.05);
+    }
+  }
+
+  // The interaction state as renderer marks
+  _drawOverlay() {
+    const ctx = this.ctxO;
+    ctx.clearRect(0, 0, this.cOverlay.width, this.cOverlay.height);
+    const drawing = this._drawingState;
+    this.renderer.drawOverlay(ctx, {
+      preview: drawing?.to ? { from: drawing.from, ...drawing.to, color: drawing.color } : null,
+      lastMove: this._lastMove,
+      highlights: this._customHighlights?.squares,
+      selected: this._selected,
+      dots: this._selected && this.highlightLegal ? this._legalCached?.map((m) => m.to) : null,
+      ...this._annotationMarks(),
+      premove: this._premove,
+      target: this._dragging ? this._hoverSq : null,
+      badges: this._badgeMarks(),
+      cursor: this._kbdCursor && document.activeElement === this.root ? this._cursor : null,
+      promotion: this._promotion && !this._promotion.custom ? this._promotionChoices() : null,
+    });
+  }
+
+  // Side shown on a tray: the top one belongs to the player at the top of the board
+  _trayColor(tray) {
+    return (tray === this._trays[0]) === (this.orientation === "white") ? "b" : "w";
+  }
+
+  // Pocket pieces with their counts on the left (crazyhouse), checks given on the right (three-check).
+  // In the editor: one spare piece of each kind, and a marker on the side to move.
+  _drawTrays() {
+    if (!this._trays) return;
+    const s = this.square;
+    const { pocket, checks } = this.state;
+    for (const tray of this._trays) {
+      const ctx = tray.getContext("2d");
+      const color = this._trayColor(tray);
+      const label = [];
+      ctx.clearRect(0, 0, tray.width, tray.height);
+      ctx.fillStyle = this.theme.dark;
+      ctx.fillRect(0, 0, tray.width, tray.height);
+      if (this.editMode) {
+        SPARE_PIECES.forEach((type, i) => {
+          const piece = color === "w" ? type.toUpperCase() : type;
+          if (this._spare === piece) {
+            ctx.fillStyle = this.theme.moveFrom;
+            ctx.fillRect(i * s, 0, s, s);
+          }
+          this.renderer.drawPiece(ctx, piece, i * s, 0, 0.8);
+        });
+        if (color === this.state.turn) {
+          ctx.fillStyle = this.theme.focus;
+          ctx.beginPath();
+          ctx.arc(tray.width - s / 2, s / 2, s * 0.14, 0, Math.PI * 2);
+          ctx.fill();
+        }
+        tray.setAttribute(
+          "aria-label",
+          `${color === "w" ? "White" : "Black"} spare pieces${color === this.state.turn ? ", to move" : ""}`
+        );
+        continue;
+      }
+      if (pocket) {
+        POCKET_ORDER.forEach((type, i) => {
+          const piece = color === "w" ? type : type.toLowerCase();
+          const n = pocket[piece] || 0;
+          if (this._selected === `${type}@` && color === this.state.turn) {
+            ctx.fillStyle = this.theme.moveFrom;
+            ctx.fillRect(i * s, 0, s, s);
+          }
+          ctx.globalAlpha = n ? 1 : 0.3;
+          this.renderer.drawPiece(ctx, piece, i * s, 0, 0.8);
+          ctx.globalAlpha = 1;
+          if (n > 1) {
+            ctx.fillStyle = this.theme.blackPiece;
+            ctx.beginPath();
+            ctx.arc(i * s + s * 0.8, s * 0.22, s * 0.16, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = this.theme.whitePiece;
+            ctx.font = `${Math.floor(s * 0.2)}px ${this.theme.coordsFont}`;
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.fillText(String(n), i * s + s * 0.8, s * 0.22);
+          }
+          if (n) label.push(`${n} ${PIECE_NAMES[type.toLowerCase()]}${n > 1 ? "s" : ""}`);
+        });
+      }
+      if (checks) {
+        const given = checks[color] || 0;
+        for (let i = 0; i < 3; i++) {
+          ctx.beginPath();
+          ctx.arc(tray.width - s * (0.35 + i * 0.4), s / 2, s * 0.14, 0, Math.PI * 2);
+          ctx.fillStyle = i < given ? this.theme.focus : this.theme.light;
+          ctx.fill();
+        }
+        label.push(`${given} of 3 checks given`);
+      }
+      tray.setAttribute("aria-label", `${color === "w" ? "White" : "Black"}: ${label.join(", ") || "empty pocket"}`);
+    }
+  }
+
+  // ---------- Interaction ----------
+  _acceptsInput() {
+    return this.interactive && !this._inputLocks.size && !this._gameOver;
+  }
+
+  // inputColor's pieces, the solver's in a puzzle
+  _mayTouch(piece) {
+    const color = this._puzzle?.color || this.inputColor;
+    return !color || (isWhitePiece(piece) ? "w" : "b") === color;
+  }
+
+  _updateCursor(pt) {
+    if (this._dragging) {
+      this.cOverlay.style.cursor = "grabbing";
+      return;
+    }
+
+    if (this.editMode && pt && !this._drawingState) {
+      const piece = this._pieceAt(this._xyToSquare(pt.x, pt.y));
+      this.cOverlay.style.cursor = this._spare ? "copy" : piece ? "grab" : "default";
+      return;
+    }
+
+    if (!this._acceptsInput() || !pt || this._drawingState) {
+      this.cOverlay.style.cursor = "default";
+      return;
+    }
+
+    const sq = this._xyToSquare(pt.x, pt.y);
+    const piece = this._pieceAt(sq);
+    const canMove = piece && (isWhitePiece(piece) ? "w" : "b") === this.state.turn && this._mayTouch(piece);
+    const target = this.moveInput !== "drag" && this._legalCached?.some((m) => m.to === sq);
+    if (canMove && this.moveInput !== "click") this.cOverlay.style.cursor = "grab";
+    else this.cOverlay.style.cursor = canMove || target ? "pointer" : "default";
+  }
+
+  _attachEvents() {
+    this._onContextMenu = (e) => e.preventDefault();
+    this.cOverlay.addEventListener("contextmenu", this._onContextMenu);
+
+    this._onPointerDown = (e) => {
+      const pt = this._evtToBoard(e);
+      if (!pt) return;
+
+      if (this._promotion) {
+        // Any click resolves the picker: a choice, or a cancel when outside it
+        const square = this._xyToSquare(pt.x, pt.y);
+        const choice = this._promotion.custom ? null : this._promotionChoices().find((c) => c.square === square);
+        if (!this._promotion.custom || e.button === 0)
+          this._resolvePromotion(choice ? choice.piece.toLowerCase() : null);
+        return;
+      }
 
       if (e.button === 2) {
         // Right-click for drawing
-        this._drawingState = { from: this._xyToSquare(pt.x, pt.y), to: null };
+        this._drawingState = { from: this._xyToSquare(pt.x, pt.y), to: null, color: brushFor(e) };
+        this._updateCursor(pt);
+        return;
+      }
+
+      this._kbdCursor = false; // pointer use hides the keyboard cursor
+      if (this.editMode) {
+        if (e.button === 0) this._editPointerDown(pt);
+        return;
+      }
+      if (e.button !== 0 || !this._acceptsInput()) return;
+
+      // Left-click for moving
+      const square = this._xyToSquare(pt.x, pt.y);
+      const piece = this._pieceAt(square);
+      if (this.moveInput !== "drag" && this._tapSelected(square)) return;
+      if (!piece || !this._mayTouch(piece)) return;
+      const reselect = square === this._selected;
+      this._selected = square;
+      this._legalCached = this.rules.movesFrom(square);
+      if (this.moveInput !== "click") {
+        this._dragging = { from: square, piece, x: pt.x, y: pt.y, reselect };
+        this._hoverSq = square;
+      } else if (reselect) this._clearSelection(); // tapping the selected piece again drops it
+      this.renderAll();
+      this._updateCursor(pt);
+    };
+
+    this._onPointerMove = (e) => {
+      const pt = this._evtToBoard(e);
+      this._updateCursor(pt);
+      if (!pt && this.editMode && this._hoverSq) {
+        // Off the board: the editor deletes the piece on release
+        this._hoverSq = null;
+        this._drawOverlay();
+      }
+      if (!pt) return;
+
+      if (this._dragging) {
+        // Left-click drag for moving piece
+        this._dragging.x = pt.x;
+        this._dragging.y = pt.y;
+        this._hoverSq = this._xyToSquare(pt.x, pt.y);
+        this._drawPieces();
+        this._drawOverlay();
+      } else if (this._drawingState) {
+        // Right-click drag for drawing
+        this._drawingState.to = { x: pt.x, y: pt.y };
+        this._drawOverlay();
+      }
+    };
+
+    this._onPointerUp = (e) => {
+      // Handle right-click drawings
+      const pt = this._evtToBoard(e);
+      if (e.button === 2 && this._drawingState) {
+        // If a premove exists, the first right-click action is to cancel it.
+        if (this._premove) {
+          this._premove = null;
+          this._drawingState = null; // Consume the drawing action
+          this._updateCursor(pt);
+          this.renderAll();
+          return;
+        }
+
+        const { from, color } = this._drawingState;
+        const to = pt ? this._xyToSquare(pt.x, pt.y) : from; // if dropped outside, treat as click
+        this._drawingState = null;
+        // A click circles the square, a drag draws an arrow
+        this._toggleAnnotation(from, to, color);
         this._updateCursor(pt);
+        this.renderAll();
+        return;
+      }
+
+      if (!this._dragging) return; // The rest is for left-click piece move
+      if (this.editMode) {
+        this._editDrop(pt);
+        return;
+      }
+      const drop = this._hoverSq;
+      const { from, reselect } = this._dragging;
+      this._dragging = null;
+      this._hoverSq = null;
+      this._updateCursor(pt);
+
+      if (!drop || drop === from) {
+        // Released in place: the selection stays for click-to-move, a second press on it deselects
+        if (this.moveInput === "drag" || reselect) this._clearSelection();
+        this.renderAll();
+        return;
+      }
+
+      this._clearSelection();
+      this._userMove(from, drop);
+    };
+
+    // Pocket pieces: tap to select, or drag onto the board. Editor palettes: same, with spare pieces.
+    this._onTrayPointerDown = (e) => {
+      const tray = e.currentTarget;
+      const rect = tray.getBoundingClientRect();
+      const cell = Math.floor(((e.clientX - rect.left) / rect.width) * 8);
+      if (this.editMode) {
+        if (e.button === 0) this._editSparePointerDown(e, tray, cell);
+        return;
+      }
+      if (e.button !== 0 || !this._acceptsInput() || this._promotion) return;
+      const type = POCKET_ORDER[cell];
+      const color = this._trayColor(tray);
+      const piece = type && (color === "w" ? type : type.toLowerCase());
+      if (!piece || !this.state.pocket?.[piece] || color !== this.state.turn || !this._mayTouch(piece)) return;
+      this._kbdCursor = false;
+      const from = `${type}@`;
+      const reselect = from === this._selected;
+      this._selected = from;
+      this._legalCached = this.rules.movesFrom(from);
+      if (this.moveInput !== "click") {
+        const pt = this._evtToBoard(e, true);
+        this._dragging = { from, piece, x: pt.x, y: pt.y, reselect };
+        this._hoverSq = null;
+      } else if (reselect) this._clearSelection();
+      this.renderAll();
+    };
+
+    this._onBoardKeyDown = (e) => this._handleKey(e);
+    this._onFocus = () => this._drawOverlay();
+    this._onBlur = () => this._drawOverlay();
+
+    this._onDocPointerDown = (e) => {
+      if (this._promotion && !this.root.contains(e.target)) this._resolvePromotion(null);
+    };
+
+    this.cOverlay.addEventListener("pointerdown", this._onPointerDown);
+    window.addEventListener("pointerdown", this._onDocPointerDown);
+    window.addEventListener("pointermove", this._onPointerMove);
+    window.addEventListener("pointerup", this._onPointerUp);
+    this.root.addEventListener("keydown", this._onBoardKeyDown);
+    this.root.addEventListener("focus", this._onFocus);
+    this.root.addEventListener("blur", this._onBlur);
+    this._watchTheme();
+  }
+
+  // ---------- Keyboard & screen readers ----------
+  _handleKey(e) {
+    const deltas = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+    if (deltas[e.key]) {
+      e.preventDefault();
+      // Arrows follow the screen, so they are flipped with the board
+      const [dx, dy] = deltas[e.key];
+      const flip = this.orientation === "white" ? 1 : -1;
+      const { f, r } = sqToFR(this._cursor || this._defaultCursor());
+      const next = this._kbdCursor ? sq(clamp(f + dx * flip, 0, 7), clamp(r - dy * flip, 0, 7)) : sq(f, r);
+      this._kbdCursor = true;
+      this._cursor = next;
+      this._drawOverlay();
+      this._announce(this._describeSquare(next));
+    } else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      if (!this._kbdCursor) {
+        this._kbdCursor = true;
+        this._cursor = this._cursor || this._defaultCursor();
+        this._drawOverlay();
+      }
+      this._activateSquare(this._cursor);
+    } else if (e.key === "Escape") {
+      if (this._promotion) this._resolvePromotion(null);
+      else if (this._spare) {
+        this._spare = null;
+        this.renderAll();
+      } else if (this._selected) {
+        this._clearSelection();
+        this.renderAll();
+      }
+    }
+  }
+
+  _defaultCursor() {
+    if (this._selected && !isDrop(this._selected)) return this._selected;
+    return this.orientation === "white" ? "a1" : "h8";
+  }
+
+  // Keyboard equivalent of a tap: select, move, reselect or pick a promotion piece (editor: place)
+  _activateSquare(square) {
+    if (this.editMode) {
+      if (this._spare) this._editTap(square);
+      return;
+    }
+    if (this._promotion) {
+      const choice = this._promotion.custom ? null : this._promotionChoices().find((c) => c.square === square);
+      if (choice) this._resolvePromotion(choice.piece.toLowerCase());
+      return;
+    }
+    if (!this._acceptsInput()) return;
+    if (this._tapSelected(square)) return;
+    const piece = this._pieceAt(square);
+    if (!piece || !this._mayTouch(piece)) return;
+    if (square === this._selected) this._clearSelection();
+    else {
+      this._selected = square;
+      this._legalCached = this.rules.movesFrom(square);
+      this._announce(`${this._describeSquare(square)} selected`);
+    }
+    this.renderAll();
+  }
+
+  _describeSquare(square) {
+    const piece = this._pieceAt(square);
+    return piece ? `${square}, ${pieceLabel(piece)}` : `${square}, empty`;
+  }
+
+  _describeMove(from, to, prevBoard) {
+    const b = sqToFR(to);
+    const landed = this.state.board[b.r][b.f];
+    let text;
+    if (isDrop(from)) text = `${pieceLabel(landed)} dropped on ${to}`;
+    else {
+      const a = sqToFR(from);
+      const piece = prevBoard[a.r][a.f];
+      const taken = prevBoard[b.r][b.f];
+      text = piece ? `${pieceLabel(piece)} ${from} to ${to}` : `${from} to ${to}`;
+      if (taken && isWhitePiece(taken) !== isWhitePiece(piece)) text += `, takes ${pieceLabel(taken)}`;
+      if (piece && landed && landed.toLowerCase() !== piece.toLowerCase())
+        text += `, promotes to ${PIECE_NAMES[landed.toLowerCase()]}`;
+      else if (piece && !landed) text += ", explodes";
+    }
+    if (this.rules.isCheckmate?.()) text += ", checkmate";
+    else if (this.rules.inCheck?.()) text += ", check";
+    return text;
+  }
+
+  _announce(text) {
+    if (!this._live) return;
+    // Re-setting identical text would not be read again
+    this._live.textContent = this._live.textContent === text ? `${text}\u00a0` : text;
+  }
+
+  // Hidden table mirroring state.board for screen-reader browsing
+  _updateA11yGrid() {
+    if (!this._grid) return;
+    const rows = [];
+    for (let y = 0; y < 8; y++) {
+      const tr = document.createElement("tr");
+      for (let x = 0; x < 8; x++) {
+        const f = this.orientation === "white" ? x : 7 - x;
+        const r = this.orientation === "white" ? 7 - y : y;
+        const td = document.createElement("td");
+        td.textContent = this._describeSquare(sq(f, r));
+        tr.appendChild(td);
+      }
+      rows.push(tr);
+    }
+    this._grid.replaceChildren(...rows);
+  }
+
+  // Common end of a drag-and-drop or a click move
+  _userMove(from, to) {
+    // Pocket drops: only ever for the side to move, never a promotion
+    if (isDrop(from)) {
+      this._playUserMove(from, to);
+      return;
+    }
+    const piece = this._pieceAt(from);
+    if (!piece) {
+      this.renderAll();
+      return;
+    }
+
+    // Not our turn? Treat as a premove.
+    if (this._isPremoveSource(from)) {
+      this._premove = { from, to };
+      this.renderAll();
+      return;
+    }
+
+    // Our turn. Promotions wait for the piece choice, other moves play right away.
+    if (this._isPromotion(from, to)) {
+      this.renderAll();
+      this._choosePromotion(from, to).then((promo) => {
+        if (promo) this._playUserMove(from, to, promo);
+        else this.renderAll();
+      });
+      return;
+    }
+    this._playUserMove(from, to);
+  }
+
+  // Second tap of click-to-move: move (or premove) to the tapped square, or deselect.
+  // Returns false when the tap should select instead (no selection, same square, own piece).
+  _tapSelected(square) {
+    const from = this._selected;
+    if (!from || square === from) return false;
+    const piece = this._pieceAt(square);
+    // A pocket piece belongs to the side to move
+    const selPiece = isDrop(from) ? (this.state.turn === "w" ? from[0] : from[0].toLowerCase()) : this._pieceAt(from);
+    // Own pieces reselect, unless the tap is a legal target (960 king-takes-rook castling)
+    const legal = this._legalCached?.some((m) => m.to === square);
+    if (!legal && piece && selPiece && isWhitePiece(piece) === isWhitePiece(selPiece)) return false;
+    const target = legal || this._isPremoveSource(from);
+    this._clearSelection();
+    if (target) this._userMove(from, square);
+    else this.renderAll();
+    return true;
+  }
+
+  _isPremoveSource(square) {
+    const piece = this._pieceAt(square);
+    return !!piece && (isWhitePiece(piece) ? "w" : "b") !== this.state.turn;
+  }
+
+  _clearSelection() {
+    this._selected = null;
+    this._legalCached = null;
+  }
+
+  _playUserMove(from, to, promotion) {
+    const legal = this.rules.move({ from, to, promotion });
+    if (legal?.ok) {
+      this._commitMove(from, to, legal);
+    } else {
+      // Genuinely illegal move
+      this.renderAll();
+      this.bus.emit("illegal", { from, to, reason: legal?.reason || "illegal" });
+    }
+  }
+
+  // ---------- Promotion ----------
+  _isPromotion(from, to) {
+    const piece = this._pieceAt(from);
+    if (!piece || piece.toLowerCase() !== "p" || (to[1] !== "8" && to[1] !== "1")) return false;
+    return this.rules.movesFrom(from).some((m) => m.to === to);
+  }
+
+  // Resolves to "q" | "r" | "b" | "n", or null when cancelled
+  _choosePromotion(from, to) {
+    const mode = this.promotionMode;
+    if (mode === "auto") return Promise.resolve("q");
+    if (this._promotion) this._resolvePromotion(null);
+    const color = this.state.turn;
+    return new Promise((resolve) => {
+      const pending = { from, to, color, resolve, custom: typeof mode === "function" };
+      this._promotion = pending;
+      this._drawOverlay();
+      if (!pending.custom) {
+        this.root.focus({ preventScroll: true }); // Escape cancels through the board's key handler
         return;
       }
+      Promise.resolve(mode({ from, to, color })).then(
+        (piece) => {
+          const p = typeof piece === "string" ? piece.toLowerCase() : null;
+          if (this._promotion === pending) this._resolvePromotion(PROMOTION_PIECES.includes(p) ? p : null);
+        },
+        () => this._promotion === pending && this._resolvePromotion(null)
+      );
+    });
+  }
+
+  _resolvePromotion(piece) {
+    const pending = this._promotion;
+    if (!pending) return;
+    this._promotion = null;
+    this._drawOverlay();
+    pending.resolve(piece);
+  }
+
+  // Picker cells: queen on the promotion square, then rook, bishop, knight towards the board centre
+  _promotionChoices() {
+    const { to, color } = this._promotion;
+    const { f, r } = sqToFR(to);
+    const dir = r === 7 ? -1 : 1;
+    return PROMOTION_PIECES.map((p, i) => ({
+      piece: color === "w" ? p.toUpperCase() : p,
+      square: sq(f, r + dir * i),
+    }));
+  }
+
+  _removeEvents() {
+    this.cOverlay.removeEventListener("pointerdown", this._onPointerDown);
+    this.cOverlay.removeEventListener("contextmenu", this._onContextMenu);
+    window.removeEventListener("pointerdown", this._onDocPointerDown);
+    window.removeEventListener("pointermove", this._onPointerMove);
+    window.removeEventListener("pointerup", this._onPointerUp);
+    this.root.removeEventListener("keydown", this._onBoardKeyDown);
+    this.root.removeEventListener("focus", this._onFocus);
+    this.root.removeEventListener("blur", this._onBlur);
+    if (this._ro) this._ro.disconnect();
+    this._unwatchTheme();
+  }
+
+  // Canvas coordinates of a pointer event; null off the board unless outside is set
+  _evtToBoard(e, outside = false) {
+    const rect = this.cOverlay.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (this.cOverlay.width / rect.width);
+    const y = (e.clientY - rect.top) * (this.cOverlay.height / rect.height);
+    if (!outside && (x < 0 || y < 0 || x > this.cOverlay.width || y > this.cOverlay.height)) return null;
+    return { x, y };
+  }
+
+  _xyToSquare(x, y) {
+    const f = clamp(Math.floor(x / this.square), 0, 7);
+    const r = clamp(Math.floor(y / this.square), 0, 7);
+    const ff = this.orientation === "white" ? f : 7 - f; // board file from canvas x
+    const rr = this.orientation === "white" ? 7 - r : r; // board rank from canvas y
+    return sq(ff, rr);
+  }
+  _pieceAt(square) {
+    if (isDrop(square)) return null;
+    const { f, r } = sqToFR(square);
+    return this.state.board[r][f];
+  }
+
+  // ---------- Animation ----------
+  _clearAnim() {
+    cancelAnimationFrame(this._raf || 0);
+    this._raf = 0;
+    this._anim = null;
+  }
+  // explosion: square of an atomic capture, its blast outlasts the piece motion
+  _animateTo(targetState, startState, { explosion } = {}) {
+    this._clearAnim();
+    const start = startState;
+    const end = targetState;
+    const startTime = now();
+    const dur = this.animationMs;
+    const blastMs = explosion ? dur * 3 : 0;
+    const movingMap = new Map();
+    // detect piece moves by square
+    for (let r = 0; r < 8; r++)
+      for (let f = 0; f < 8; f++) {
+        const a = start.board[r][f];
+        const b = end.board[r][f];
+        if (a && (!b || a !== b)) {
+          // find where 'a' appears in end
+          const to = findPiece(end.board, a, r, f, start.board);
+          if (to) {
+            movingMap.set(sq(f, r), sq(to.f, to.r));
+          }
+        }
+      }
+    const tick = () => {
+      const elapsed = now() - startTime;
+      const t = clamp(elapsed / dur, 0, 1);
+      const e = easeOutCubic(t);
+      // Draw pieces: interpolate moving ones
+      const ctx = this.ctxP;
+      ctx.clearRect(0, 0, this.cPieces.width, this.cPieces.height);
+      for (let r = 0; r < 8; r++)
+        for (let f = 0; f < 8; f++) {
+          const targetPiece = end.board[r][f];
+          if (!targetPiece) continue;
+          const toSq = sq(f, r);
+          const fromSqKey = [...movingMap.entries()].find(([from, to]) => to === toSq)?.[0];
+          if (fromSqKey) {
+            const { x: fx, y: fy } = this.renderer.sqToXY(fromSqKey);
+            const { x: tx, y: ty } = this.renderer.sqToXY(toSq);
+            const x = lerp(fx, tx, e),
+              y = lerp(fy, ty, e);
+            this.renderer.drawPiece(ctx, targetPiece, x, y, 1.0);
+          } else {
+            const { x, y } = this.renderer.sqToXY(toSq);
+            this.renderer.drawPiece(ctx, targetPiece, x, y, 1.0);
+          }
+        }
+      this._drawOverlay();
+      if (explosion) this.renderer.drawExplosion(this.ctxO, explosion, clamp(elapsed / blastMs, 0, 1));
+      if (t < 1 || elapsed < blastMs) this._raf = requestAnimationFrame(tick);
+      else {
+        this._raf = 0; // Final render to clean up any animation artifacts
+        this.renderAll();
+        this._checkAndPlayPremove();
+      }
+    };
+    this._raf = requestAnimationFrame(tick);
+  }
+}
+
+function findPiece(board, piece, r0, f0, startBoard) {
+  // Prefer matching destination that differs from start
+  for (let r = 0; r < 8; r++)
+    for (let f = 0; f < 8; f++) {
+      if (board[r][f] === piece && startBoard[r][f] !== piece) return { r, f };
+    }
+  return null;
+}
+
+// ---------- Engine (UCI) ----------
+// One "info" line. UCI scores are for the side to move; they are returned from White's point of view,
+// { cp } in centipawns or { mate } in moves, negative when Black is better. "mate 0" (the side to move is
+// mated) keeps its winner in the sign of zero: 0 when Black is mated, -0 when White is.
+function parseUCIInfo(line, turn) {
+  const t = line.trim().split(/\s+/);
+  const sign = turn === "b" ? -1 : 1;
+  const info = {};
+  for (let i = 1; i < t.length; i++) {
+    switch (t[i]) {
+      case "depth":
+      case "seldepth":
+      case "multipv":
+      case "nodes":
+      case "nps":
+      case "time":
+        info[t[i]] = Number(t[++i]);
+        break;
+      case "score": {
+        const kind = t[++i];
+        const value = Number(t[++i]);
+        info.score =
+          kind === "mate" && value === 0
+            ? { mate: turn === "b" ? 0 : -0 }
+            : { [kind === "mate" ? "mate" : "cp"]: sign * value };
+        if (/^(lower|upper)bound$/.test(t[i + 1])) {
+          const bound = t[++i];
+          info.score.bound = sign > 0 ? bound : bound === "lowerbound" ? "upperbound" : "lowerbound";
+        }
+        break;
+      }
+      case "pv":
+        info.pv = t.slice(i + 1);
+        i = t.length;
+        break;
+      case "string":
+        i = t.length;
+        break;
+    }
+  }
+  return info;
+}
+
+export class EngineAdapter {
+  // worker: a Worker running a UCI engine, or anything with postMessage() and "message" events carrying
+  // its output (a stub answering canned lines will do). Options: the board to follow (re-analysed after
+  // each move, navigation or setPosition) and draw on, multiPV lines, depth or movetime (ms) per search,
+  // arrows: false for events only, arrowColor (default: the theme's).
+  constructor(
+    worker,
+    { board = null, multiPV = 1, depth = 18, movetime = null, follow = true, arrows = true, arrowColor } = {}
+  ) {
+    this.worker = worker;
+    this.board = board;
+    this.multiPV = multiPV;
+    this.depth = depth;
+    this.movetime = movetime;
+    this.arrows = arrows;
+    this.arrowColor = arrowColor;
+    this.bus = new EventBus();
+    this.lines = []; // of the current or last search, by multipv rank
+    this._search = null; // { fen, turn, lines, started, resolve }
+    this._stale = 0; // bestmoves still owed by stopped searches, their output is ignored
+    this.ready = new Promise((resolve) => (this._onReady = resolve));
+    this._onMessage = (e) => this._receive(e.data);
+    worker.addEventListener("message", this._onMessage);
+    this._send("uci");
+    this._unfollow = [];
+    if (board && follow) {
+      for (const type of ["move", "navigate", "update"])
+        this._unfollow.push(board.on(type, ({ fen }) => this.analyse(fen)));
+      this.analyse();
+    }
+  }
+
+  on(type, fn) {
+    return this.bus.on(type, fn);
+  }
+
+  // Searches a position (the board's by default), stopping the running search. Resolves with
+  // { fen, bestmove, ponder, lines } at "bestmove", or null when stopped or superseded.
+  analyse(fen = this.board?.getPosition(), { depth = this.depth, movetime = this.movetime } = {}) {
+    this.stop();
+    // The last search's arrows belong to its position, finished or not
+    if (this.board && this.arrows) this.board.clearArrows("engine");
+    const search = { fen, turn: fen.trim().split(/\s+/)[1] || "w", lines: [], started: false };
+    const done = new Promise((resolve) => (search.resolve = resolve));
+    this._search = search;
+    this.lines = search.lines;
+    this.ready.then(() => {
+      if (this._search !== search) return;
+      search.started = true;
+      this._send(`position fen ${fen}`);
+      this._send(movetime ? `go movetime ${movetime}` : `go depth ${depth}`);
+    });
+    return done;
+  }
+
+  stop() {
+    const search = this._search;
+    if (!search) return;
+    this._search = null;
+    if (search.started) {
+      this._stale++;
+      this._send("stop");
+    }
+    if (this.board && this.arrows) this.board.clearArrows("engine");
+    search.resolve(null);
+  }
+
+  // Stops and lets go of the worker and the board; the worker itself is left running
+  destroy() {
+    this.stop();
+    this.worker.removeEventListener("message", this._onMessage);
+    for (const off of this._unfollow) off();
+    this._unfollow = [];
+  }
+
+  _send(cmd) {
+    this.worker.postMessage(cmd);
+  }
+
+  _emit(type, payload) {
+    this.bus.emit(type, payload);
+    this.board?.bus.emit(type, payload);
+  }
+
+  _receive(data) {
+    for (const line of String(data).split("\n")) {
+      const cmd = line.trim().split(/\s+/)[0];
+      if (cmd === "uciok") {
+        this._send(`setoption name MultiPV value ${this.multiPV}`);
+        this._send("isready");
+      } else if (cmd === "readyok") this._onReady();
+      else if (cmd === "info") this._info(line);
+      else if (cmd === "bestmove") this._bestMove(line);
+    }
+  }
+
+  _info(line) {
+    const search = this._search;
+    if (!search?.started || this._stale) return;
+    const info = parseUCIInfo(line, search.turn);
+    // currmove, hashfull, strings... but a mated position has its score and no line
+    if (!info.pv?.length && info.score?.mate !== 0) return;
+    search.lines[(info.multipv || 1) - 1] = { multipv: info.multipv || 1, ...info, pv: info.pv || [] };
+    this._drawLines(search);
+    this._emit("analysis", { fen: search.fen, depth: info.depth, lines: search.lines.filter(Boolean) });
+  }
+
+  _bestMove(line) {
+    if (this._stale) {
+      this._stale--;
+      return;
+    }
+    const search = this._search;
+    if (!search) return;
+    this._search = null;
+    const [, best, , ponder] = line.trim().split(/\s+/);
+    const result = {
+      fen: search.fen,
+      bestmove: best && best !== "(none)" ? best : null,
+      ponder: ponder || null,
+      lines: search.lines.filter(Boolean),
+    };
+    this._emit("bestmove", result);
+    search.resolve(result);
+  }
+
+  // First move of each line, thinner and fainter down the ranking; only on the analysed position
+  _drawLines(search) {
+    const board = this.board;
+    if (!board || !this.arrows || board.getPosition() !== search.fen) return;
+    board.clearArrows("engine");
+    search.lines.forEach((line, i) => {
+      const move = line?.pv[0];
+      if (!move || move[1] === "@") return; // drops have no origin square
+      board.addArrow(move.slice(0, 2), move.slice(2, 4), this.arrowColor, {
+        weight: Math.max(0.3, 1 - i * 0.25),
+        group: "engine",
+      });
+    });
+  }
+}
+
+// ---------- Evaluation bar ----------
+// 1 when White mates, -1 when Black does; a mate of 0 (already mated) takes the sign of its zero
+const mateSign = (mate) => (mate > 0 || Object.is(mate, 0) ? 1 : -1);
+
+// White's winning chances (0..1) for an engine score; the curve lichess uses for its bar
+const evalShare = ({ cp, mate }) =>
+  mate !== undefined ? (mateSign(mate) > 0 ? 1 : 0) : 1 / (1 + Math.exp(-0.00368208 * clamp(cp || 0, -2000, 2000)));
+
+export class EvalBar {
+  // A vertical bar drawn beside the board: White's share grows from White's side, and the bar flips and
+  // recolours with the board. Fed by setEvaluation() or, by default, the board's analysis events (see
+  // EngineAdapter); engine: listen to that engine instead. container: where to append the bar (default: a
+  // flex row taking the board's place, bar on the left). width in CSS pixels.
+  constructor(board, { engine = null, container = null, width = 24, animationMs = 300 } = {}) {
+    this.board = board;
+    this.width = width;
+    this.animationMs = animationMs;
+    this.score = null;
+    this._shown = 0.5; // drawn share, eased towards the score's
+    this._raf = 0;
+    this.el = document.createElement("canvas");
+    this.el.className = "ncb-evalbar";
+    this.el.style.display = "block";
+    this.el.setAttribute("role", "img");
+    if (container) container.appendChild(this.el);
+    else {
+      this._row = document.createElement("div");
+      this._row.className = "ncb-evalrow";
+      board.root.before(this._row);
+      this._row.append(this.el, board.root);
+    }
+    const redraw = () => this._draw();
+    this._off = [
+      board.on("orientation", redraw),
+      board.on("theme", redraw),
+      (engine || board).on("analysis", ({ lines }) => lines[0]?.score && this.setEvaluation(lines[0].score)),
+    ];
+    // The bar is as tall as the board
+    if (typeof ResizeObserver !== "undefined") {
+      this._ro = new ResizeObserver(() => this.resize());
+      this._ro.observe(board.root);
+    }
+    this.resize();
+  }
+
+  resize() {
+    const height = this.board.root.getBoundingClientRect().height;
+    const dpr = window.devicePixelRatio || 1;
+    this.el.width = Math.round(this.width * dpr);
+    this.el.height = Math.round(height * dpr);
+    this.el.style.width = this.width + "px";
+    this.el.style.height = height + "px";
+    this._draw();
+  }
+
+  // { cp } in centipawns or { mate } in moves, from White's point of view; null empties the bar
+  setEvaluation(score) {
+    this.score = score ? { ...score } : null;
+    const from = this._shown;
+    const to = score ? evalShare(score) : 0.5;
+    const start = now();
+    cancelAnimationFrame(this._raf);
+    const tick = () => {
+      const t = this.animationMs ? clamp((now() - start) / this.animationMs, 0, 1) : 1;
+      this._shown = lerp(from, to, easeOutCubic(t));
+      this._draw();
+      this._raf = t < 1 ? requestAnimationFrame(tick) : 0;
+    };
+    tick();
+  }
+
+  destroy() {
+    cancelAnimationFrame(this._raf);
+    for (const off of this._off) off();
+    if (this._ro) this._ro.disconnect();
+    this.el.remove();
+    this._row?.replaceWith(this.board.root);
+  }
+
+  // "+0.4", "-1.2", "M3" (White mates in 3), "-M2", "M0" (Black is mated), "-M0"
+  static format({ cp, mate } = {}) {
+    if (mate !== undefined) return `${mateSign(mate) < 0 ? "-" : ""}M${Math.abs(mate)}`;
+    const pawns = (cp || 0) / 100;
+    return `${pawns > 0 ? "+" : ""}${pawns.toFixed(1)}`;
+  }
+
+  _draw() {
+    const ctx = this.el.getContext("2d");
+    const { width: W, height: H } = this.el;
+    const theme = this.board.theme;
+    const whiteBottom = this.board.orientation === "white";
+    const whiteH = H * this._shown;
+    ctx.clearRect(0, 0, W, H);
+    ctx.fillStyle = theme.blackPiece;
+    ctx.fillRect(0, 0, W, H);
+    ctx.fillStyle = theme.whitePiece;
+    ctx.fillRect(0, whiteBottom ? H - whiteH : 0, W, whiteH);
+    ctx.fillStyle = theme.boardBorder;
+    ctx.fillRect(0, H / 2 - 1, W, 2); // even line
+    const label = this.score ? EvalBar.format(this.score) : "";
+    this.el.setAttribute("aria-label", label ? `Evaluation ${label}` : "No evaluation");
+    if (!label) return;
+    // On the end of the side ahead, in the other side's colour
+    const whiteAhead = this._shown >= 0.5;
+    const atBottom = whiteAhead === whiteBottom;
+    ctx.fillStyle = whiteAhead ? theme.blackPiece : theme.whitePiece;
+    ctx.font = `${Math.floor(W * 0.36)}px ${theme.coordsFont}`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = atBottom ? "bottom" : "top";
+    ctx.fillText(label.replace(/^[+-]/, ""), W / 2, atBottom ? H - W * 0.15 : W * 0.15);
+  }
+}
+
+// ---------- Clock ----------
+// A PGN TimeControl tag ("40/5400+30:1800+30", seconds) as clock stages, in ms
+function parseTimeControl(tc) {
+  return String(tc)
+    .split(":")
+    .map((part) => {
+      const m = /^(?:(\d+)\/)?(\d+)(?:\+(\d+))?$/.exec(part.trim());
+      if (!m) throw new Error(`Invalid time control "${tc}"`);
+      const stage = { time: +m[2] * 1000, increment: +(m[3] || 0) * 1000 };
+      if (m[1]) stage.moves = +m[1];
+      return stage;
+    });
+}
+
+// A stage value, the same for both sides or per side { w, b }
+const sideValue = (v, color) => (v && typeof v === "object" ? v[color] : v) || 0;
+
+export class Clock {
+  // Counts down the side to move of a board, switching on each "move" (and following navigation). Options: stages, an array of
+  // { moves, time, increment, delay, delayType } (ms; moves to make before the next stage's time is added,
+  // the last stage repeating if it has some) or a PGN TimeControl string; without stages, a single one from
+  // time, increment, delay and delayType. Any value may be per side, { w, b }. delayType: "simple" (the
+  // clock waits delay ms before running) or "bronstein" (time spent is given back, up to delay).
+  // lowTime (ms) for the "lowtime" event, interval (ms) between ticks, 0 for none (call update()), and now,
+  // the time source in ms.
+  constructor(
+    board,
+    {
+      stages,
+      time = 300000,
+      increment = 0,
+      delay = 0,
+      delayType = "simple",
+      lowTime = 10000,
+      interval = 100,
+      now: clockNow = now,
+    } = {}
+  ) {
+    this.board = board;
+    this.stages = typeof stages === "string" ? parseTimeControl(stages) : stages || [{ time, increment, delay }];
+    this.delayType = delayType;
+    this.lowTime = lowTime;
+    this.interval = interval;
+    this.now = clockNow;
+    this.bus = new EventBus();
+    this._unfollow = [
+      board.on("move", ({ fen }) => this._switch(fen.split(" ")[1])),
+      board.on("navigate", () => this._resync()),
+      board.on("update", () => this._resync()),
+    ];
+    this.reset();
+  }
+
+  on(type, fn) {
+    return this.bus.on(type, fn);
+  }
+
+  // Back to the first stage, stopped, with the board's side to move and input unlocked after a flag
+  reset() {
+    this.stop();
+    this.board.unlockInput(this);
+    this.flagged = null;
+    this.turn = this.board.state.turn;
+    this._stage = { w: 0, b: 0 };
+    this._moves = { w: 0, b: 0 }; // made in the current stage
+    this._left = { w: sideValue(this.stages[0].time, "w"), b: sideValue(this.stages[0].time, "b") };
+    this._low = { w: false, b: false };
+    this._emit("tick", this._state());
+  }
+
+  start() {
+    if (this.running || this.flagged) return false;
+    this.running = true;
+    this._since = this.now();
+    if (this.interval) this._timer = setInterval(() => this.update(), this.interval);
+    return true;
+  }
+
+  // Pauses, keeping the time left
+  stop() {
+    if (!this.running) return;
+    this._left[this.turn] = this._remaining(this.turn);
+    this.running = false;
+    clearInterval(this._timer);
+  }
+
+  // Time left for a side, in ms
+  time(color) {
+    return this._remaining(color);
+  }
+
+  // Reads the time source: "tick", then "lowtime" or "flag" as they happen
+  update() {
+    if (!this.running) return;
+    const color = this.turn;
+    const left = this._remaining(color);
+    if (left <= 0) {
+      this._left[color] = 0;
+      this.stop();
+      this.flagged = color;
+      this.board.lockInput(this);
+      this._emit("tick", this._state());
+      this._emit("flag", { color });
+      return;
+    }
+    this._emit("tick", this._state());
+    this._checkLow(color, left);
+  }
+
+  destroy() {
+    this.stop();
+    for (const off of this._unfollow) off();
+    this._unfollow = [];
+    this.board.unlockInput(this);
+  }
+
+  // 0:05.3 under 10 s, 4:59, 1:29:59
+  static format(ms) {
+    const t = Math.max(0, ms);
+    if (t < 10000) return `0:0${(Math.floor(t / 100) / 10).toFixed(1)}`;
+    const sec = Math.ceil(t / 1000);
+    const [h, m, s] = [Math.floor(sec / 3600), Math.floor(sec / 60) % 60, sec % 60];
+    const pad = (n) => String(n).padStart(2, "0");
+    return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+  }
+
+  _stageOf(color) {
+    return this.stages[this._stage[color]];
+  }
+
+  _remaining(color) {
+    if (!this.running || color !== this.turn) return this._left[color];
+    let spent = this.now() - this._since;
+    if (this.delayType === "simple") spent = Math.max(0, spent - sideValue(this._stageOf(color).delay, color));
+    return Math.max(0, this._left[color] - spent);
+  }
+
+  // The mover's time is settled: delay given back (Bronstein), increment, next stage's time
+  _switch(turn) {
+    const mover = this.turn;
+    if (turn === mover) return;
+    if (this.running) {
+      this.update();
+      if (this.flagged) return;
+      const spent = this.now() - this._since;
+      const stage = this._stageOf(mover);
+      let left = this._remaining(mover);
+      if (this.delayType === "bronstein") left += Math.min(spent, sideValue(stage.delay, mover));
+      left += sideValue(stage.increment, mover);
+      if (stage.moves && ++this._moves[mover] >= stage.moves) {
+        this._stage[mover] = Math.min(this._stage[mover] + 1, this.stages.length - 1);
+        this._moves[mover] = 0;
+        left += sideValue(this._stageOf(mover).time, mover);
+      }
+      this._left[mover] = left;
+      this._since = this.now();
+      if (left > this.lowTime) this._low[mover] = false;
+    }
+    this.turn = turn;
+    this._emit("tick", this._state());
+  }
+
+  // Taking moves back or setting a position hands the clock to the side now to move; the time spent so far
+  // is kept, without the increment or stage count a move would bring
+  _resync() {
+    const turn = this.board.state.turn;
+    if (turn === this.turn) return;
+    if (this.running) {
+      this.update();
+      if (this.flagged) return;
+      this._left[this.turn] = this._remaining(this.turn);
+      this._since = this.now();
+    }
+    this.turn = turn;
+    this._emit("tick", this._state());
+  }
+
+  // Once per stretch below lowTime; an increment lifting the side above it re-arms the warning
+  _checkLow(color, left) {
+    if (left > this.lowTime) this._low[color] = false;
+    else if (!this._low[color]) {
+      this._low[color] = true;
+      this._emit("lowtime", { color, time: left });
+    }
+  }
+
+  _state() {
+    return { w: this._remaining("w"), b: this._remaining("b"), turn: this.turn, running: !!this.running };
+  }
+
+  _emit(type, payload) {
+    this.bus.emit(type, payload);
+    this.board.bus.emit(type, payload);
+  }
+}
+
+// ---------- Network sync ----------
+// Transports are WebSocket-shaped: send(string) and "message" events whose data is a string.
+// In-memory stand-in: ends of one room get each other's messages, asynchronously and in order.
+export class LoopbackTransport {
+  constructor(room = new Set()) {
+    this._room = room;
+    this._listeners = new Set();
+    room.add(this);
+  }
+
+  // Another end in the same room
+  connect() {
+    return new LoopbackTransport(this._room);
+  }
+
+  send(data) {
+    for (const peer of this._room) if (peer !== this) queueMicrotask(() => peer._deliver(String(data)));
+  }
+
+  addEventListener(type, fn) {
+    if (type === "message") this._listeners.add(fn);
+  }
+
+  removeEventListener(type, fn) {
+    this._listeners.delete(fn);
+  }
+
+  close() {
+    this._room.delete(this);
+  }
+
+  _deliver(data) {
+    for (const fn of this._listeners) fn({ data });
+  }
+}
+
+// Messages are JSON objects carrying their type and the sender's id:
+//   join   { role }                            a peer arrives; players answer with a state snapshot
+//   move   { ply, from, to, promotion, fen }   ply: history length with the move, fen: the position it gives
+//   ack    { ply, fen, to }                    where a move took the receiver, for the mover (id to), who
+//                                              answers a mismatch with a state snapshot
+//   resign { color }
+//   draw   { action, color }                   action: "offer", "accept" or "decline"
+//   state  { pgn, fen, over }                  the whole game, replacing the receiver's
+export class GameSync {
+  // role: "white", "black" or "spectator" (watches without interacting, sends no moves)
+  constructor(board, transport, { id = Math.random().toString(36).slice(2, 10), role = "white" } = {}) {
+    this.board = board;
+    this.transport = transport;
+    this.id = id;
+    this.role = role;
+    this.bus = new EventBus();
+    this._applying = false; // a remote move is being played, its "move" event is not sent back
+    this._drawOffer = null; // "sent" or "received"
+    this._over = null; // resignation or agreed draw, sent with snapshots
+    if (role === "spectator") board.lockInput(this);
+    this._inputColor = board.inputColor;
+    if (this.color) board.inputColor = this.color;
+    this._onMessage = (e) => this._receive(e.data);
+    transport.addEventListener("message", this._onMessage);
+    // A WebSocket still connecting cannot send: messages wait in the outbox until it opens
+    this._outbox = transport.readyState === 0 ? [] : null;
+    this._onOpen = () => {
+      const outbox = this._outbox || [];
+      this._outbox = null;
+      for (const data of outbox) this.transport.send(data);
+    };
+    if (this._outbox) transport.addEventListener("open", this._onOpen);
+    this._unfollow = [
+      board.on("move", (e) => this._localMove(e)),
+      // A new game (setPosition, loadPGN) drops the old one's ending and offers
+      board.on("update", () => {
+        this._over = null;
+        this._drawOffer = null;
+      }),
+    ];
+    this.send({ type: "join", role });
+  }
 
-      if (e.button !== 0 || !this.interactive) return;
+  on(type, fn) {
+    return this.bus.on(type, fn);
+  }
 
-      // Left-click for moving
-      const from = this._xyToSquare(pt.x, pt.y);
-      const piece = this._pieceAt(from);
-      if (piece) {
-        this._selected = from;
-        this._legalCached = this.rules.movesFrom(from);
-        this._dragging = { from, piece, x: pt.x, y: pt.y };
-        this._hoverSq = from;
-        this.renderAll();
-        this._updateCursor(pt);
-      }
-    };
+  get color() {
+    return { white: "w", black: "b" }[this.role] || null;
+  }
 
-    this._onPointerMove = (e) => {
-      const pt = this._evtToBoard(e);
-      this._updateCursor(pt);
-      if (!pt) return;
+  send(msg) {
+    const data = JSON.stringify({ ...msg, id: this.id });
+    if (this._outbox) this._outbox.push(data);
+    else this.transport.send(data);
+  }
 
-      if (this._dragging) {
-        // Left-click drag for moving piece
-        this._dragging.x = pt.x;
-        this._dragging.y = pt.y;
-        this._hoverSq = this._xyToSquare(pt.x, pt.y);
-        this._drawPieces();
-        this._drawOverlay();
-      } else if (this._drawingState) {
-        // Right-click drag for drawing
-        this._drawingState.to = { x: pt.x, y: pt.y };
-        this._drawOverlay();
-      }
-    };
+  resign() {
+    if (!this.color || this._over) return false;
+    this.send({ type: "resign", color: this.color });
+    this._resigned(this.color);
+    return true;
+  }
 
-    this._onPointerUp = (e) => {
-      // Handle right-click drawings
-      const pt = this._evtToBoard(e);
-      if (e.button === 2 && this._drawingState) {
-        // If a premove exists, the first right-click action is to cancel it.
-        if (this._premove) {
-          this._premove = null;
-          this._drawingState = null; // Consume the drawing action
-          this._updateCursor(pt);
-          this.renderAll();
-          return;
-        }
+  offerDraw() {
+    if (!this.color || this._over || this._drawOffer) return false;
+    this._drawOffer = "sent";
+    this.send({ type: "draw", action: "offer", color: this.color });
+    return true;
+  }
 
-        const from = this._drawingState.from;
-        const to = pt ? this._xyToSquare(pt.x, pt.y) : from; // if dropped outside, treat as click
-        this._drawingState = null;
+  acceptDraw() {
+    if (this._drawOffer !== "received" || this._over) return false;
+    this.send({ type: "draw", action: "accept", color: this.color });
+    this._end({ reason: "agreement", result: "1/2-1/2" });
+    return true;
+  }
 
-        if (from === to) {
-          // Single right-click, toggle highlight
-          const index = this._highlights.indexOf(from);
-          if (index > -1) this._highlights.splice(index, 1);
-          else this._highlights.push(from);
-        } else {
-          // Right-click drag, toggle arrow
-          const index = this._arrows.findIndex((a) => a.from === from && a.to === to);
-          if (index > -1) this._arrows.splice(index, 1);
-          else this._arrows.push({ from, to });
+  declineDraw() {
+    if (this._drawOffer !== "received") return false;
+    this._drawOffer = null;
+    this.send({ type: "draw", action: "decline", color: this.color });
+    return true;
+  }
+
+  // Sends the whole game, for peers that joined late or drifted
+  sendState() {
+    this.send({ type: "state", pgn: this.board.toPGN(), fen: this._liveFen(), over: this._over });
+  }
+
+  // Stops listening; the board gets its input back
+  destroy() {
+    this.transport.removeEventListener("message", this._onMessage);
+    this.transport.removeEventListener("open", this._onOpen);
+    for (const off of this._unfollow) off();
+    this.board.unlockInput(this);
+    this.board.inputColor = this._inputColor;
+  }
+
+  // Position after the last move, whatever ply the board shows
+  _liveFen() {
+    return this.board.history().at(-1)?.fen ?? this.board.getPosition();
+  }
+
+  // Only this player's own moves are sent. The user cannot touch the other side's pieces (inputColor);
+  // a move made for them by code is taken back once the board has finished playing it.
+  _localMove({ from, to, fen }) {
+    if (this._applying || !this.color) return;
+    if (fen.split(" ")[1] === this.color) {
+      const ply = this.board.currentPly();
+      queueMicrotask(() => {
+        if (this.board.currentPly() === ply && this.board.history()[ply - 1]?.fen === fen) this.board.takeBack();
+        this._emit("refused", { from, to, fen });
+      });
+      return;
+    }
+    this._drawOffer = null;
+    const ply = this.board.currentPly();
+    const { promotion } = this.board.history()[ply - 1];
+    this.send({ type: "move", ply, from, to, promotion, fen });
+  }
+
+  _receive(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return; // not ours
+    }
+    if (!msg || msg.id === this.id) return;
+    switch (msg.type) {
+      case "join":
+        this._emit("peer", { id: msg.id, role: msg.role });
+        if (this.color) this.sendState();
+        break;
+      case "move":
+        this._remoteMove(msg);
+        break;
+      case "ack":
+        if (msg.to === this.id && this.board.history()[msg.ply - 1]?.fen !== msg.fen) {
+          this._emit("desync", { id: msg.id, ply: msg.ply, fen: msg.fen });
+          this.sendState();
         }
-        this._updateCursor(pt);
-        this.renderAll();
-        return;
+        break;
+      case "resign":
+        this._resigned(msg.color);
+        break;
+      case "draw":
+        this._drawMessage(msg);
+        break;
+      case "state":
+        this._loadState(msg);
+        break;
+    }
+  }
+
+  // Played through move() on the live position, animated; a peer that cannot follow acks where it stands
+  _remoteMove({ id, ply, from, to, promotion, fen }) {
+    const board = this.board;
+    this._drawOffer = null;
+    board.goToEnd();
+    if (board.currentPly() === ply - 1) {
+      this._applying = true;
+      try {
+        board.move(from, to, promotion || "q");
+      } finally {
+        this._applying = false;
       }
+    }
+    // A move seen twice is acked again, harmlessly
+    const reached = board.history()[ply - 1]?.fen ?? this._liveFen();
+    this.send({ type: "ack", ply, fen: reached, to: id });
+    if (reached !== fen) this._emit("desync", { id: this.id, ply, fen: reached });
+  }
 
-      if (!this._dragging) return; // The rest is for left-click piece move
-      const drop = this._hoverSq;
-      const from = this._dragging.from;
-      this._dragging = null;
-      this._hoverSq = null;
-      this._updateCursor(pt);
+  _drawMessage({ action, color }) {
+    if (action === "offer") {
+      if (this.color && this.color !== color) this._drawOffer = "received";
+      this._emit("drawoffer", { color });
+    } else if (action === "accept") {
+      this._end({ reason: "agreement", result: "1/2-1/2" });
+    } else if (action === "decline") {
+      if (this._drawOffer === "sent") this._drawOffer = null;
+      this._emit("drawdecline", { color });
+    }
+  }
 
-      if (!drop || drop === from) {
-        this._selected = null;
-        this._legalCached = null;
-        this.renderAll();
-        return;
-      }
+  _resigned(color) {
+    this._emit("resign", { color });
+    this._end({ reason: "resignation", result: color === "w" ? "0-1" : "1-0" });
+  }
 
-      const piece = this._pieceAt(from);
-      if (!piece) {
-        this.renderAll();
-        return;
-      }
-      const pieceColor = isWhitePiece(piece) ? "w" : "b";
+  _end(over) {
+    this._over = over;
+    this._drawOffer = null;
+    this.board.endGame(over);
+  }
 
-      // Reset selection state for all paths
-      this._selected = null;
-      this._legalCached = null;
+  _loadState({ pgn, fen, over }) {
+    const board = this.board;
+    if (board.toPGN() !== pgn || this._liveFen() !== fen) {
+      if (!board.loadPGN(pgn)) board.setPosition(fen, { immediate: true });
+      this._emit("state", { fen: this._liveFen() });
+    }
+    if (over && !this._over) this._end(over);
+  }
 
-      // Not our turn? Treat as a premove.
-      if (pieceColor !== this.state.turn) {
-        this._premove = { from, to: drop };
-        this.renderAll();
-        return;
-      }
+  _emit(type, payload) {
+    this.bus.emit(type, payload);
+    this.board.bus.emit(type, payload);
+  }
+}
 
-      // Our turn. Try to make the move.
-      const legal = this.rules.move({ from, to: drop });
-      if (legal?.ok) {
-        const oldState = JSON.parse(JSON.stringify(this.state));
-        const newFen = this._usingChessJS ? this.rules.getFEN() : legal.fen;
-        const newState = parseFEN(newFen);
-        this._lastMove = { from, to: drop };
-        this.state = newState; // Update state immediately
-        this.rules.setFEN(newFen);
-        this._animateTo(newState, oldState);
-        this.bus.emit("move", { from, to: drop, fen: newFen });
-      } else {
-        // Genuinely illegal move
-        this.renderAll();
-        this.bus.emit("illegal", { from, to: drop, reason: legal?.reason || "illegal" });
-      }
-    };
+// ---------- Openings ----------
+// Names the opening of a board's game from a table of [eco, name, position] rows (eco.js ships one, kept
+// out of this module); position is a FEN or EPD, or moves in SAN from the start. Rows are indexed by
+// position, so transpositions are named too.
+export class OpeningClassifier {
+  constructor(openings, { board = null } = {}) {
+    this.openings = openings;
+    this.board = board;
+    this.bus = new EventBus();
+    this.current = null; // { eco, name, ply } of the position shown, or null out of book
+    this._index = null; // position key -> { eco, name, fen } or { eco, name, moves }, built on first lookup
+    this._unfollow = [];
+    if (board) {
+      for (const type of ["move", "navigate", "update"]) this._unfollow.push(board.on(type, () => this._follow()));
+      this._follow();
+    }
+  }
 
-    this.cOverlay.addEventListener("pointerdown", this._onPointerDown);
-    window.addEventListener("pointermove", this._onPointerMove);
-    window.addEventListener("pointerup", this._onPointerUp);
+  on(type, fn) {
+    return this.bus.on(type, fn);
   }
 
-  _removeEvents() {
-    this.cOverlay.removeEventListener("pointerdown", this._onPointerDown);
-    this.cOverlay.removeEventListener("contextmenu", this._onContextMenu);
-    window.removeEventListener("pointermove", this._onPointerMove);
-    window.removeEventListener("pointerup", this._onPointerUp);
-    if (this._ro) this._ro.disconnect();
+  // { eco, name, fen } or { eco, name, moves }, as the row gives it, for the exact position; or null
+  lookup(fen) {
+    if (!this._index) this._index = this._build();
+    const entry = this._index.get(positionKey(fen));
+    return entry ? { ...entry } : null;
   }
 
-  _evtToBoard(e) {
-    const rect = this.cOverlay.getBoundingClientRect();
-    const x = (e.clientX - rect.left) * (this.cOverlay.width / rect.width);
-    const y = (e.clientY - rect.top) * (this.cOverlay.height / rect.height);
-    if (x < 0 || y < 0 || x > this.cOverlay.width || y > this.cOverlay.height) return null;
-    return { x, y };
+  // The last named position of a game, given as the FENs after each move: { eco, name, ply } or null
+  classify(fens) {
+    for (let ply = fens.length; ply > 0; ply--) {
+      const entry = this.lookup(fens[ply - 1]);
+      if (entry) return { eco: entry.eco, name: entry.name, ply };
+    }
+    return null;
   }
 
-  _xyToSquare(x, y) {
-    const f = clamp(Math.floor(x / this.square), 0, 7);
-    const r = clamp(Math.floor(y / this.square), 0, 7);
-    const ff = this.orientation === "white" ? f : 7 - f; // board file from canvas x
-    const rr = this.orientation === "white" ? 7 - r : r; // board rank from canvas y
-    return sq(ff, rr);
+  destroy() {
+    for (const off of this._unfollow) off();
+    this._unfollow = [];
   }
-  _pieceAt(square) {
-    const { f, r } = sqToFR(square);
-    return this.state.board[r][f];
+
+  // First row wins a position; a row the rules refuse is skipped with a warning
+  _build() {
+    const index = new Map();
+    const reached = new Map([["", START_FEN]]); // move prefix -> FEN, rows share their first moves
+    const rules = new LightRules();
+    for (const [eco, name, position] of this.openings) {
+      const given = position.includes("/");
+      const fen = given ? position : this._play(parsePGN(position).moves, reached, rules);
+      if (!fen) console.warn(`[NCB] Opening ${eco} "${name}": illegal moves "${position}".`);
+      else if (!index.has(positionKey(fen)))
+        index.set(positionKey(fen), given ? { eco, name, fen: position } : { eco, name, moves: position });
+    }
+    return index;
   }
 
-  // ---------- Animation ----------
-  _clearAnim() {
-    cancelAnimationFrame(this._raf || 0);
-    this._raf = 0;
-    this._anim = null;
+  // FEN after the moves, or null
+  _play(moves, reached, rules) {
+    let prefix = "";
+    for (const { san } of moves) {
+      const fen = reached.get(prefix);
+      prefix += ` ${san}`;
+      if (reached.has(prefix)) continue;
+      rules.setFEN(fen);
+      const mv = rules.fromSAN(san);
+      const res = mv && rules.move(mv);
+      if (!res?.ok) return null;
+      reached.set(prefix, res.fen);
+    }
+    return reached.get(prefix);
   }
-  _animateTo(targetState, startState) {
-    this._clearAnim();
-    const start = startState;
-    const end = targetState;
-    const startTime = now();
-    const dur = this.animationMs;
-    const movingMap = new Map();
-    // detect piece moves by square
-    for (let r = 0; r < 8; r++)
-      for (let f = 0; f < 8; f++) {
-        const a = start.board[r][f];
-        const b = end.board[r][f];
-        if (a && (!b || a !== b)) {
-          // find where 'a' appears in end
-          const to = findPiece(end.board, a, r, f, start.board);
-          if (to) {
-            movingMap.set(sq(f, r), sq(to.f, to.r));
-          }
-        }
-      }
-    const tick = () => {
-      const t = clamp((now() - startTime) / dur, 0, 1);
-      const e = easeOutCubic(t);
-      // Draw pieces: interpolate moving ones
-      const ctx = this.ctxP;
-      ctx.clearRect(0, 0, this.cPieces.width, this.cPieces.height);
-      for (let r = 0; r < 8; r++)
-        for (let f = 0; f < 8; f++) {
-          const targetPiece = end.board[r][f];
-          if (!targetPiece) continue;
-          const toSq = sq(f, r);
-          const fromSqKey = [...movingMap.entries()].find(([from, to]) => to === toSq)?.[0];
-          if (fromSqKey) {
-            const { x: fx, y: fy } = this._sqToXY(fromSqKey);
-            const { x: tx, y: ty } = this._sqToXY(toSq);
-            const x = lerp(fx, tx, e),
-              y = lerp(fy, ty, e);
-            this._drawPieceSprite(ctx, targetPiece, x, y, 1.0);
-          } else {
-            const { x, y } = this._sqToXY(toSq);
-            this._drawPieceSprite(ctx, targetPiece, x, y, 1.0);
-          }
-        }
-      this._drawOverlay();
-      if (t < 1) this._raf = requestAnimationFrame(tick);
-      else {
-        this._raf = 0; // Final render to clean up any animation artifacts
-        this.renderAll();
-        this._checkAndPlayPremove();
-      }
-    };
-    this._raf = requestAnimationFrame(tick);
+
+  // Re-classified after each move, navigation or new position; "opening" when the name changes
+  _follow() {
+    const board = this.board;
+    const fens = board
+      .history()
+      .map((m) => m.fen)
+      .slice(0, board.currentPly());
+    const found = board.variant === "standard" ? this.classify(fens) : null;
+    const was = this.current;
+    this.current = found;
+    if (was?.eco === found?.eco && was?.name === found?.name && was?.ply === found?.ply) return;
+    const payload = found || { eco: null, name: null, ply: 0 };
+    this.bus.emit("opening", payload);
+    board.bus.emit("opening", payload);
   }
 }
 
-function findPiece(board, piece, r0, f0, startBoard) {
-  // Prefer matching destination that differs from start
-  for (let r = 0; r < 8; r++)
-    for (let f = 0; f < 8; f++) {
-      if (board[r][f] === piece && startBoard[r][f] !== piece) return { r, f };
+// ---------- Repertoire drill ----------
+const DAY = 24 * 3600 * 1000;
+
+// SM-2: quality 0..5 (below 3 is a miss) updates the card's ease, interval (days) and due time
+function scheduleCard(card, quality, time) {
+  if (quality < 3) {
+    card.reps = 0;
+    card.interval = 1;
+  } else {
+    card.reps++;
+    card.interval = card.reps === 1 ? 1 : card.reps === 2 ? 6 : Math.round(card.interval * card.ease);
+  }
+  card.ease = Math.max(1.3, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  card.due = time + card.interval * DAY;
+  return card;
+}
+
+// Web Storage in memory: the shape RepertoireDrill stores through, as localStorage has
+export class MemoryStorage {
+  constructor() {
+    this._items = new Map();
+  }
+
+  getItem(key) {
+    return this._items.has(key) ? this._items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this._items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this._items.delete(key);
+  }
+}
+
+// Quizzes a repertoire for one colour on a board. The tree is kept by position: opponent positions list
+// the replies to expect, each of the colour's positions holds one card, the prepared move with its SM-2
+// schedule. A line runs from the start: opponent moves and the moves of cards not yet due play themselves,
+// due cards wait for the user, and a wrong or illegal try counts as a miss. Options: color ("w" or "b"),
+// fen (the start), storage (getItem/setItem, e.g. localStorage; in memory by default) and key, each colour
+// keeping its own item under it, delay (ms) before automatic moves, now (ms) for tests.
+export class RepertoireDrill {
+  constructor(
+    board,
+    {
+      color = "w",
+      fen = START_FEN,
+      storage = new MemoryStorage(),
+      key = "ncb-repertoire",
+      delay = 300,
+      now: clock = Date.now,
+    } = {}
+  ) {
+    this.board = board;
+    this.storage = storage;
+    this.key = `${key}-${color}`;
+    this.delay = delay;
+    this.now = clock;
+    this.bus = new EventBus();
+    const saved = JSON.parse(storage.getItem(this.key) || "null");
+    if (saved && saved.fen !== fen)
+      console.warn(`[NCB] Repertoire "${this.key}" was stored from another position, keeping its own.`);
+    // nodes: opponent position key -> { uci: key after it }; cards: own position key -> card
+    this.data = saved || { color, fen, nodes: {}, cards: {} };
+    this._waiting = null; // { card, mistakes, hinted } while the user is quizzed
+    this._applying = false; // the drill's own moves
+    this._timer = 0;
+    this._unfollow = [
+      board.on("move", () => this._userMove()),
+      board.on("illegal", ({ from, to, reason }) => reason === "illegal" && this._waiting && this._miss(from + to)),
+      board.on("update", () => this.stop()), // a new position leaves the line (start() steps in after it)
+    ];
+  }
+
+  on(type, fn) {
+    return this.bus.on(type, fn);
+  }
+
+  get color() {
+    return this.data.color;
+  }
+
+  // Adds a line from the start: SAN movetext, an array of SAN, or by default the board's history. The
+  // colour's moves replace any other prepared in the same position (that card starts over). Returns false
+  // if a move is illegal, adding nothing.
+  addLine(moves = this.board.history().map((m) => m.san)) {
+    const sans = typeof moves === "string" ? parsePGN(moves).moves.map((m) => m.san) : moves;
+    const rules = new LightRules(this.data.fen);
+    const steps = [];
+    for (const san of sans) {
+      const before = rules.getFEN();
+      const mv = rules.fromSAN(san);
+      const res = mv && rules.move(mv);
+      if (!res?.ok) return false;
+      rules.setFEN(res.fen);
+      steps.push({
+        at: positionKey(before),
+        turn: before.split(" ")[1],
+        uci: toUCI(mv),
+        san,
+        next: positionKey(res.fen),
+      });
     }
-  return null;
+    const { nodes, cards } = this.data;
+    for (const { at, turn, uci, san, next } of steps) {
+      if (turn !== this.color) (nodes[at] ||= {})[uci] = next;
+      else if (cards[at]?.move !== uci) cards[at] = { move: uci, san, next, ease: 2.5, interval: 0, reps: 0, due: 0 };
+    }
+    this._save();
+    return true;
+  }
+
+  // Cards due now
+  due() {
+    const time = this.now();
+    return Object.values(this.data.cards).filter((c) => c.due <= time).length;
+  }
+
+  // Plays a line towards due cards from the start. False, with "drill:done", when none is due.
+  start() {
+    this.stop();
+    if (!this.due()) {
+      this._emit("drill:done", {});
+      return false;
+    }
+    this.board.setPosition(this.data.fen, { immediate: true });
+    this._step();
+    return true;
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this.board.unlockInput(this);
+    this._waiting = null;
+    this.board.clearArrows("drill");
+  }
+
+  // Arrow on the prepared move; the card then counts as recalled with difficulty
+  hint(color) {
+    if (!this._waiting) return false;
+    const { from, to } = fromUCI(this._waiting.card.move);
+    this._waiting.hinted = true;
+    this.board.clearArrows("drill");
+    this.board.addArrow(from, to, color, { group: "drill" });
+    return true;
+  }
+
+  destroy() {
+    this.stop();
+    for (const off of this._unfollow) off();
+    this._unfollow = [];
+  }
+
+  // Whether a due card lies ahead of a position
+  _leadsToDue(key, time, seen = new Set()) {
+    if (seen.has(key)) return false;
+    seen.add(key);
+    const card = this.data.cards[key];
+    if (card) return card.due <= time || this._leadsToDue(card.next, time, seen);
+    return Object.values(this.data.nodes[key] || {}).some((next) => this._leadsToDue(next, time, seen));
+  }
+
+  // Next move of the line: the user's on a due card, else an automatic one towards a due card
+  _step() {
+    const time = this.now();
+    const key = positionKey(this.board.getPosition());
+    const card = this.data.cards[key];
+    if (card && card.due <= time) {
+      this._waiting = { card, mistakes: 0, hinted: false };
+      return;
+    }
+    const next = card
+      ? [card.move].filter(() => this._leadsToDue(card.next, time))
+      : Object.entries(this.data.nodes[key] || {})
+          .filter(([, after]) => this._leadsToDue(after, time))
+          .map(([uci]) => uci);
+    if (!next.length) {
+      this._emit("drill:line", { due: this.due() });
+      return;
+    }
+    this._later(() => {
+      const { from, to, promotion } = fromUCI(next[Math.floor(Math.random() * next.length)]);
+      this._applying = true;
+      const played = this.board.move(from, to, promotion);
+      this._applying = false;
+      if (played) this._step();
+      else this._emit("drill:line", { due: this.due() }); // the board left the line
+    }, this.delay);
+  }
+
+  // Input stays locked until the drill's own move or take-back is made
+  _later(fn, ms) {
+    this.board.lockInput(this);
+    this._timer = setTimeout(() => {
+      this.board.unlockInput(this);
+      fn();
+    }, ms);
+  }
+
+  _userMove() {
+    const waiting = this._waiting;
+    if (this._applying || !waiting) return;
+    this.board.clearArrows("drill");
+    const move = toUCI(this.board.history().at(-1));
+    const { card } = waiting;
+    if (move !== card.move) {
+      this._miss(move);
+      this._later(() => this.board.takeBack(), this.board.animationMs);
+      return;
+    }
+    const quality = waiting.mistakes ? 2 : waiting.hinted ? 3 : 5;
+    scheduleCard(card, quality, this.now());
+    this._save();
+    this._waiting = null;
+    this._emit("drill:correct", { move, quality, due: card.due });
+    this._step();
+  }
+
+  _miss(move) {
+    this._waiting.mistakes++;
+    this._emit("drill:wrong", { move, expected: this._waiting.card.move });
+  }
+
+  _save() {
+    this.storage.setItem(this.key, JSON.stringify(this.data));
+  }
+
+  _emit(type, payload) {
+    this.bus.emit(type, payload);
+    this.board.bus.emit(type, payload);
+  }
 }
 
 // ---------- Public helpers ----------
@@ -1243,13 +4950,3 @@ export const NeoChessThemes = THEMES;
 export function mountChessboard(root, opts) {
   return new Chessboard(root, opts);
 }
-
-// Attach minimal styles for the container (optional)
-if (typeof document !== "undefined") {
-  const style = document.createElement("style");
-  style.textContent = `
-  .ncb-root { display:block; max-width:100%; aspect-ratio:1/1; border-radius:14px; overflow:hidden; box-shadow: 0 10px 30px rgba(0,0,0,0.10); }
-  canvas { image-rendering: optimizeQuality; }
-  `;
-  document.head.appendChild(style);
-}